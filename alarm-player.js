@@ -0,0 +1,252 @@
+// Alarm sounds synthesized with the Web Audio API, so they work offline and need no assets.
+// Each note is played by an oscillator with a short attack and an exponential decay.
+const ALARM_SOUNDS = {
+  bell: {
+    label: 'Bell',
+    length: 1.6,
+    notes: [
+      { frequency: 880, start: 0, duration: 1.6, type: 'sine', gain: 1 },
+      { frequency: 1760, start: 0, duration: 0.8, type: 'sine', gain: 0.4 }
+    ]
+  },
+  beep: {
+    label: 'Beep',
+    length: 0.7,
+    notes: [
+      { frequency: 1000, start: 0, duration: 0.15, type: 'square', gain: 0.5 },
+      { frequency: 1000, start: 0.25, duration: 0.15, type: 'square', gain: 0.5 },
+      { frequency: 1000, start: 0.5, duration: 0.15, type: 'square', gain: 0.5 }
+    ]
+  },
+  chime: {
+    label: 'Chime',
+    length: 1.4,
+    notes: [
+      { frequency: 523.25, start: 0, duration: 0.6, type: 'triangle', gain: 1 },
+      { frequency: 659.25, start: 0.2, duration: 0.6, type: 'triangle', gain: 1 },
+      { frequency: 783.99, start: 0.4, duration: 1, type: 'triangle', gain: 1 }
+    ]
+  },
+  digital: {
+    label: 'Digital',
+    length: 1,
+    notes: [
+      { frequency: 2000, start: 0, duration: 0.08, type: 'square', gain: 0.4 },
+      { frequency: 2000, start: 0.12, duration: 0.08, type: 'square', gain: 0.4 },
+      { frequency: 2000, start: 0.5, duration: 0.08, type: 'square', gain: 0.4 },
+      { frequency: 2000, start: 0.62, duration: 0.08, type: 'square', gain: 0.4 }
+    ]
+  },
+  none: {
+    label: 'None',
+    length: 0,
+    notes: []
+  }
+};
+
+// Pause between two repetitions of a sound, in seconds
+const ALARM_REPEAT_GAP = 0.4;
+
+/**
+ * AlarmPlayer class plays the alarm sounds when a phase ends. The volume, the number
+ * of repetitions and whether the alarm rings until it is acknowledged are read from
+ * localStorage, and a banner allows stopping the alarm while it rings.
+ */
+class AlarmPlayer {
+  constructor() {
+    this.audioContext = null;
+    this.masterGain = null;
+    this.repeatIntervalId = null;
+    this.stopTimeoutId = null;
+
+    this.bannerElement = document.getElementById('alarm-banner');
+    this.stopButton = document.getElementById('stop-alarm');
+
+    if (this.stopButton) {
+      this.stopButton.addEventListener('click', () => this.stop());
+    }
+
+    // Browsers only allow audio after a user gesture, so unlock it on the first one
+    const unlock = () => {
+      this.getAudioContext();
+      document.removeEventListener('click', unlock);
+      document.removeEventListener('keydown', unlock);
+    };
+    document.addEventListener('click', unlock);
+    document.addEventListener('keydown', unlock);
+  }
+
+  /**
+   * Get the audio context, creating or resuming it if needed
+   * @returns {AudioContext|null} - The audio context or null if Web Audio is unavailable
+   */
+  getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      return null;
+    }
+
+    if (!this.audioContext) {
+      this.audioContext = new AudioContextClass();
+    }
+
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+
+    return this.audioContext;
+  }
+
+  /**
+   * Read the alarm settings from localStorage
+   * @returns {{volume: number, repeat: number, untilAcknowledged: boolean}}
+   */
+  getSettings() {
+    const volume = parseInt(localStorage.getItem('alarmVolume'), 10);
+    const repeat = parseInt(localStorage.getItem('alarmRepeat'), 10);
+
+    return {
+      volume: isNaN(volume) ? 0.8 : Math.min(100, Math.max(0, volume)) / 100,
+      repeat: isNaN(repeat) ? 3 : Math.max(1, repeat),
+      untilAcknowledged: localStorage.getItem('alarmUntilAcknowledged') === 'true'
+    };
+  }
+
+  /**
+   * Get the names and labels of the available sounds
+   * @returns {Array} - Array of {name, label} objects
+   */
+  getSounds() {
+    return Object.keys(ALARM_SOUNDS).map(name => ({ name: name, label: ALARM_SOUNDS[name].label }));
+  }
+
+  /**
+   * Play an alarm sound with the configured volume and repetitions
+   * @param {string} soundName - Name of the sound to play
+   */
+  play(soundName) {
+    const sound = ALARM_SOUNDS[soundName] || ALARM_SOUNDS.bell;
+    this.stop();
+
+    if (sound.notes.length === 0) {
+      return;
+    }
+
+    const settings = this.getSettings();
+    if (settings.volume === 0 || !this.startSound()) {
+      return;
+    }
+
+    const period = sound.length + ALARM_REPEAT_GAP;
+
+    if (settings.untilAcknowledged) {
+      // Keep ringing until the alarm is stopped
+      this.playSound(sound, settings.volume, 0);
+      this.repeatIntervalId = setInterval(() => {
+        this.playSound(sound, settings.volume, 0);
+      }, period * 1000);
+    } else {
+      for (let i = 0; i < settings.repeat; i++) {
+        this.playSound(sound, settings.volume, i * period);
+      }
+      this.stopTimeoutId = setTimeout(() => this.stop(), settings.repeat * period * 1000);
+    }
+
+    this.showBanner(true);
+  }
+
+  /**
+   * Play a sound once, e.g. to try it in the settings
+   * @param {string} soundName - Name of the sound to play
+   */
+  preview(soundName) {
+    const sound = ALARM_SOUNDS[soundName];
+    this.stop();
+
+    if (sound && this.startSound()) {
+      this.playSound(sound, this.getSettings().volume, 0);
+      // Release the gain node once the sound has played
+      this.stopTimeoutId = setTimeout(() => this.stop(), sound.length * 1000);
+    }
+  }
+
+  /**
+   * Stop the alarm, including the repetitions that are already scheduled
+   */
+  stop() {
+    if (this.repeatIntervalId) {
+      clearInterval(this.repeatIntervalId);
+      this.repeatIntervalId = null;
+    }
+
+    if (this.stopTimeoutId) {
+      clearTimeout(this.stopTimeoutId);
+      this.stopTimeoutId = null;
+    }
+
+    if (this.masterGain) {
+      this.masterGain.disconnect();
+      this.masterGain = null;
+    }
+
+    this.showBanner(false);
+  }
+
+  /**
+   * Create the gain node all notes of the alarm are played through,
+   * so stopping the alarm silences notes that are already scheduled
+   * @returns {boolean} - Whether audio is available
+   */
+  startSound() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext) {
+      return false;
+    }
+
+    this.masterGain = audioContext.createGain();
+    this.masterGain.connect(audioContext.destination);
+    return true;
+  }
+
+  /**
+   * Schedule the notes of a sound
+   * @param {Object} sound - Sound from ALARM_SOUNDS
+   * @param {number} volume - Volume between 0 and 1
+   * @param {number} offset - Delay in seconds before the sound starts
+   */
+  playSound(sound, volume, offset) {
+    const audioContext = this.audioContext;
+    const startTime = audioContext.currentTime + offset;
+
+    sound.notes.forEach(note => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const noteStart = startTime + note.start;
+      const noteEnd = noteStart + note.duration;
+
+      oscillator.type = note.type;
+      oscillator.frequency.setValueAtTime(note.frequency, noteStart);
+
+      // Short attack followed by an exponential decay
+      gain.gain.setValueAtTime(0.0001, noteStart);
+      gain.gain.linearRampToValueAtTime(volume * note.gain, noteStart + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, noteEnd);
+
+      oscillator.connect(gain);
+      gain.connect(this.masterGain);
+
+      oscillator.start(noteStart);
+      oscillator.stop(noteEnd);
+    });
+  }
+
+  /**
+   * Show or hide the banner to stop the alarm
+   * @param {boolean} isVisible
+   */
+  showBanner(isVisible) {
+    if (this.bannerElement) {
+      this.bannerElement.classList.toggle('hidden', !isVisible);
+    }
+  }
+}
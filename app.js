@@ -1,32 +1,90 @@
 // MVC Pattern Implementation
 
 // Model - Holds the timer data and state
+// While running, the model stores the target end timestamp and derives the
+// remaining time from the clock, so throttled or suspended tabs stay accurate
 class TimerModel {
   constructor(id, initialTime) {
     this.id = id;
     this.initialTime = initialTime;
-    this.remainingTime = initialTime;
+    this.remainingTime = initialTime; // Remaining time while stopped
+    this.endTime = null; // Target end timestamp while running
+    this.allowOvertime = false; // Whether the remaining time may go below zero
     this.isCurrent = false;
   }
   
-  updateTime(elapsedMs) {
-    if (elapsedMs > 0 && this.remainingTime > 0) {
-      // Ensure we don't go below zero
-      this.remainingTime = Math.max(0, this.remainingTime - elapsedMs);
+  /**
+   * Start counting down from the remaining time
+   * @param {number} [now] - Current timestamp
+   */
+  start(now = Date.now()) {
+    if (this.endTime === null) {
+      this.endTime = now + this.remainingTime;
     }
-    return this.remainingTime;
   }
   
-  resetRemainingTime() {
+  /**
+   * Stop counting down, keeping the remaining time
+   * @param {number} [now] - Current timestamp
+   */
+  stop(now = Date.now()) {
+    this.remainingTime = this.getRemainingTime(now);
+    this.endTime = null;
+  }
+  
+  isRunning() {
+    return this.endTime !== null;
+  }
+  
+  getEndTime() {
+    return this.endTime;
+  }
+  
+  resetRemainingTime(now = Date.now()) {
     this.remainingTime = this.initialTime;
+    this.allowOvertime = false;
+    if (this.endTime !== null) {
+      this.endTime = now + this.initialTime;
+    }
+  }
+  
+  /**
+   * Keep counting past zero instead of stopping at the end time
+   */
+  startOvertime() {
+    this.allowOvertime = true;
+  }
+  
+  /**
+   * @param {number} [now] - Current timestamp
+   * @returns {boolean} Whether the timer is counting past its end time
+   */
+  isOvertime(now = Date.now()) {
+    return this.getRemainingTime(now) < 0;
+  }
+  
+  /**
+   * @param {number} [now] - Current timestamp
+   * @returns {boolean} Whether the running timer has reached its end time
+   */
+  hasTimedOut(now = Date.now()) {
+    return this.isRunning() && !this.allowOvertime && this.getRemainingTime(now) <= 0;
   }
   
   setCurrent(isCurrent) {
     this.isCurrent = isCurrent;
   }
   
-  getRemainingTime() {
-    return this.remainingTime;
+  /**
+   * @param {number} [now] - Current timestamp
+   * @returns {number} Remaining time in milliseconds, negative only in overtime
+   */
+  getRemainingTime(now = Date.now()) {
+    if (this.endTime === null) {
+      return this.remainingTime;
+    }
+    const remainingTime = this.endTime - now;
+    return this.allowOvertime ? remainingTime : Math.max(0, remainingTime);
   }
 }
 
@@ -35,6 +93,107 @@ class TimerView {
   constructor(element) {
     this.element = element;
     this.timeElement = element.querySelector('.time');
+    this.editButton = element.querySelector('.edit-button');
+    
+    // Inline duration editor
+    this.editorElement = element.querySelector('.duration-editor');
+    this.editorInput = element.querySelector('.duration-input');
+    this.editorError = element.querySelector('.duration-error');
+    
+    // Clicks in the editor must not start the timer
+    this.editorElement.addEventListener('click', (e) => e.stopPropagation());
+  }
+  
+  /**
+   * Create the element of a timer for the given phase
+   * @param {Object} phase - Phase with id and label
+   * @returns {HTMLElement} The timer element
+   */
+  static createElement(phase) {
+    const element = document.createElement('div');
+    element.id = phase.id;
+    element.className = `timer ${phase.type}-timer`;
+    
+    const label = document.createElement('div');
+    label.className = 'timer-label';
+    label.textContent = phase.label;
+    
+    const time = document.createElement('div');
+    time.className = 'time';
+    
+    const editButton = document.createElement('button');
+    editButton.id = `edit-${phase.id}`;
+    editButton.className = 'edit-button';
+    editButton.setAttribute('aria-label', `Edit ${phase.label} Timer`);
+    
+    const editIcon = document.createElement('img');
+    editIcon.src = 'icons/edit_24dp_FFFFFF_FILL0_wght300_GRAD0_opsz24.svg';
+    editIcon.alt = 'Edit';
+    editIcon.className = 'icon';
+    editButton.appendChild(editIcon);
+    
+    element.appendChild(label);
+    element.appendChild(time);
+    element.appendChild(editButton);
+    element.appendChild(TimerView.createEditorElement(phase));
+    
+    return element;
+  }
+  
+  /**
+   * Create the inline editor of the duration of a phase, hidden until the edit button is clicked
+   * @param {Object} phase - Phase with id and label
+   * @returns {HTMLElement} The editor form
+   */
+  static createEditorElement(phase) {
+    const form = document.createElement('form');
+    form.className = 'duration-editor hidden';
+    form.noValidate = true;
+    
+    const inputLabel = document.createElement('label');
+    inputLabel.className = 'visually-hidden';
+    inputLabel.htmlFor = `duration-input-${phase.id}`;
+    inputLabel.textContent = `Duration of ${phase.label}`;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `duration-input-${phase.id}`;
+    input.className = 'duration-input';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('aria-describedby', `duration-error-${phase.id}`);
+    
+    const createButton = (className, text, ariaLabel, type = 'button') => {
+      const button = document.createElement('button');
+      button.type = type;
+      button.className = className;
+      button.textContent = text;
+      button.setAttribute('aria-label', ariaLabel);
+      return button;
+    };
+    
+    const stepper = document.createElement('div');
+    stepper.className = 'duration-stepper';
+    stepper.appendChild(createButton('duration-step duration-decrease', '−', 'Decrease by one minute'));
+    stepper.appendChild(input);
+    stepper.appendChild(createButton('duration-step duration-increase', '+', 'Increase by one minute'));
+    
+    const error = document.createElement('div');
+    error.id = `duration-error-${phase.id}`;
+    error.className = 'duration-error';
+    error.setAttribute('aria-live', 'polite');
+    
+    const actions = document.createElement('div');
+    actions.className = 'duration-actions';
+    actions.appendChild(createButton('duration-cancel', 'Cancel', 'Cancel editing'));
+    actions.appendChild(createButton('duration-save', 'Save', `Save duration of ${phase.label}`, 'submit'));
+    
+    form.appendChild(inputLabel);
+    form.appendChild(stepper);
+    form.appendChild(error);
+    form.appendChild(actions);
+    
+    return form;
   }
   
   updateDisplay(formattedTime) {
@@ -49,11 +208,88 @@ class TimerView {
     }
   }
   
+  setOvertimeState(isOvertime) {
+    this.element.classList.toggle('overtime', isOvertime);
+  }
+  
   // Add click event handler
   onClick(callback) {
     this.element.addEventListener('click', callback);
   }
   
+  // Add edit button click handler
+  onEdit(callback) {
+    this.editButton.addEventListener('click', (e) => {
+      e.stopPropagation(); // Prevent timer activation when clicking edit
+      callback();
+    });
+  }
+  
+  /**
+   * Show the inline duration editor
+   * @param {string} durationText - The duration to start editing with
+   */
+  showEditor(durationText) {
+    this.setEditorValue(durationText);
+    this.setEditorError('');
+    this.element.classList.add('editing');
+    this.editorElement.classList.remove('hidden');
+    this.editorInput.focus();
+    this.editorInput.select();
+  }
+  
+  hideEditor() {
+    this.element.classList.remove('editing');
+    this.editorElement.classList.add('hidden');
+  }
+  
+  isEditing() {
+    return !this.editorElement.classList.contains('hidden');
+  }
+  
+  getEditorValue() {
+    return this.editorInput.value;
+  }
+  
+  setEditorValue(durationText) {
+    this.editorInput.value = durationText;
+  }
+  
+  /**
+   * @param {string} message - Validation message, empty when the duration is valid
+   */
+  setEditorError(message) {
+    this.editorError.textContent = message;
+    this.editorInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+  }
+  
+  /**
+   * Add the handlers of the inline duration editor
+   * @param {Object} handlers - Functions called with the typed text on input and submit,
+   * with the number of steps when a stepper is used, and without arguments on cancel
+   */
+  onEditor({ onInput, onSubmit, onStep, onCancel }) {
+    this.editorInput.addEventListener('input', () => onInput(this.getEditorValue()));
+    this.editorElement.addEventListener('submit', (e) => {
+      e.preventDefault();
+      onSubmit(this.getEditorValue());
+    });
+    this.editorElement.querySelector('.duration-decrease').addEventListener('click', () => onStep(-1));
+    this.editorElement.querySelector('.duration-increase').addEventListener('click', () => onStep(1));
+    this.editorElement.querySelector('.duration-cancel').addEventListener('click', () => onCancel());
+    
+    // Arrow keys step the duration and Escape cancels, like in a native number input
+    this.editorInput.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        onStep(e.key === 'ArrowUp' ? 1 : -1);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        onCancel();
+      }
+    });
+  }
+  
   // Add vibration feedback
   addVibration(isRunningCallback) {
     this.element.addEventListener('click', () => {
@@ -64,6 +300,9 @@ class TimerView {
   }
 }
 
+// Alarms and notifications of phases that ended longer ago than this, e.g. while the page was closed, are skipped
+const ALARM_MAX_DELAY = 60 * 1000;
+
 // Controller - Coordinates model and view
 class TimerController {
   /**
@@ -76,6 +315,8 @@ class TimerController {
     this.model = model;
     this.view = view;
     this.timeTrackingStrategy = timeTrackingStrategy;
+    this.alarmPlayer = null;
+    this.alarmSound = null;
 
     // Add click handler
     this.view.onClick(() => startCallback(this));
@@ -84,15 +325,60 @@ class TimerController {
     this.updateView();
   }
   
-  updateTime(elapsedMs) {
-    const remainingTime = this.model.updateTime(elapsedMs);
-    this.updateView();
-    return remainingTime;
+  startCountdown() {
+    this.model.start();
+  }
+  
+  stopCountdown() {
+    this.model.stop();
+  }
+  
+  getRemainingTime() {
+    return this.model.getRemainingTime();
+  }
+  
+  hasTimedOut() {
+    return this.model.hasTimedOut();
+  }
+  
+  /**
+   * Keep the timer running past zero
+   * @param {number} overtimeStartTime - Timestamp at which the planned time ran out
+   */
+  startOvertime(overtimeStartTime) {
+    this.model.startOvertime();
+    this.playAlarm(overtimeStartTime);
+    this.handleOvertime(overtimeStartTime);
+  }
+  
+  /**
+   * @param {AlarmPlayer} alarmPlayer - Player for the alarm sounds
+   * @param {string} alarmSound - Name of the sound to play when the time runs out
+   */
+  setAlarm(alarmPlayer, alarmSound) {
+    this.alarmPlayer = alarmPlayer;
+    this.alarmSound = alarmSound;
+  }
+  
+  /**
+   * Ring the alarm when the time runs out, unless that happened long ago
+   * @param {number} timeoutTime - Timestamp at which the time ran out
+   */
+  playAlarm(timeoutTime) {
+    if (this.alarmPlayer && Date.now() - timeoutTime < ALARM_MAX_DELAY) {
+      this.alarmPlayer.play(this.alarmSound);
+    }
+  }
+  
+  isOvertime() {
+    return this.model.isOvertime();
   }
   
   updateView() {
-    this.view.updateDisplay(this.formatTime(this.model.getRemainingTime()));
+    const remainingTime = this.model.getRemainingTime();
+    this.view.updateDisplay(this.formatTime(remainingTime));
     this.view.setCurrentState(this.model.isCurrent);
+    this.view.setOvertimeState(remainingTime < 0);
   }
   
   setCurrent(isCurrent, wasRunning, isRunning) {
@@ -104,7 +390,17 @@ class TimerController {
     this.updateView();
 
     if (this.startedRunning(wasCurrent, isCurrent, wasRunning, isRunning)) {
-      this.handleStart();
+      // A paused timer started again continues its session
+      if (wasCurrent) {
+        this.handleResume();
+      } else {
+        this.handleStart();
+      }
+      
+      // A timer started again while in overtime records overtime from the start
+      if (this.isOvertime()) {
+        this.handleOvertime(Date.now());
+      }
     }
   }
 
@@ -113,6 +409,7 @@ class TimerController {
    * This occurs when:
    * 1. The timer was current and running, but is no longer current
    * 2. The timer remains current, but the overall timer has stopped running
+   * 3. The timer was current and paused, but is no longer current
    * 
    * @param {boolean} wasCurrent - Whether the timer was previously current
    * @param {boolean} isCurrent - Whether the timer is now current
@@ -127,7 +424,10 @@ class TimerController {
     // Case 2: Still current but timer has stopped
     const stoppedWhileCurrent = wasCurrent && isCurrent && wasRunning && !isRunning;
     
-    return stoppedBeingCurrent || stoppedWhileCurrent;
+    // Case 3: Was current and paused, now no longer current, which ends the paused session
+    const stoppedWhilePaused = wasCurrent && !isCurrent && !wasRunning;
+    
+    return stoppedBeingCurrent || stoppedWhileCurrent || stoppedWhilePaused;
   }
 
   /**
@@ -153,6 +453,7 @@ class TimerController {
   }
 
   reset(wasRunning) {
+    this.model.stop();
     this.model.resetRemainingTime();
     this.setCurrent(false, wasRunning, false)
   }
@@ -165,12 +466,20 @@ class TimerController {
     return this.model.isCurrent;
   }
   
+  isWork() {
+    return false;
+  }
+  
   /**
    * Format milliseconds into time display format
-   * @param {number} ms - Time in milliseconds
-   * @returns {string} Formatted time string in HH:MM:SS or MM:SS format
+   * @param {number} ms - Time in milliseconds, negative in overtime
+   * @returns {string} Formatted time string in HH:MM:SS or MM:SS format, prefixed with "+" in overtime
    */
   formatTime(ms) {
+    if (ms < 0) {
+      return `+${this.formatTime(-ms)}`;
+    }
+    
     // Convert to seconds and round down to ensure we don't display more time than available
     const totalSeconds = Math.floor(ms / 1000);
     const hours = Math.floor(totalSeconds / 3600);
@@ -186,7 +495,10 @@ class TimerController {
   }
   
   // Hook methods for specialized behavior
-  handleStart() {
+  /**
+   * @param {number} [startTime] - Timestamp at which the timer started, defaults to now
+   */
+  handleStart(startTime) {
     // Override in subclasses
   }
   
@@ -194,20 +506,51 @@ class TimerController {
     // Override in subclasses
   }
   
-  handleTimeout() {
+  /**
+   * @param {number} [pauseTime] - Timestamp at which the timer was paused, defaults to now
+   */
+  handlePause(pauseTime) {
+    // Override in subclasses
+  }
+  
+  /**
+   * @param {number} [resumeTime] - Timestamp at which the timer was resumed, defaults to now
+   */
+  handleResume(resumeTime) {
+    // Override in subclasses
+  }
+  
+  /**
+   * @param {number} timeoutTime - Timestamp at which the time ran out
+   */
+  handleTimeout(timeoutTime) {
+    // Override in subclasses
+  }
+  
+  /**
+   * @param {number} overtimeStartTime - Timestamp at which the timer went into overtime
+   */
+  handleOvertime(overtimeStartTime) {
     // Override in subclasses
   }
 }
 
-// Work timer controller with time tracking
-class WorkTimerController extends TimerController {
+// Timer controller recording a time entry while its timer runs
+class TrackedTimerController extends TimerController {
   constructor(model, view, startCallback, timeTrackingStrategy) {
     super(model, view, startCallback, timeTrackingStrategy);
   }
   
-  handleStart() {
+  /**
+   * @returns {string} - Type of the recorded time entries, 'work' or 'rest'
+   */
+  getEntryType() {
+    return this.isWork() ? 'work' : 'rest';
+  }
+  
+  handleStart(startTime = Date.now()) {
     if (this.timeTrackingStrategy) {
-      this.timeTrackingStrategy.startTimeEntry();
+      this.timeTrackingStrategy.startTimeEntry(new Date(startTime), this.getEntryType());
     }
   }
   
@@ -217,27 +560,64 @@ class WorkTimerController extends TimerController {
     }
   }
   
-  handleTimeout() {
+  handlePause(pauseTime = Date.now()) {
     if (this.timeTrackingStrategy) {
-      this.timeTrackingStrategy.stopTimeEntry();
+      this.timeTrackingStrategy.pauseTimeEntry(new Date(pauseTime));
+    }
+  }
+  
+  handleResume(resumeTime = Date.now()) {
+    if (this.timeTrackingStrategy) {
+      this.timeTrackingStrategy.resumeTimeEntry(new Date(resumeTime), this.getEntryType());
+    }
+  }
+  
+  handleTimeout(timeoutTime) {
+    this.playAlarm(timeoutTime);
+    
+    if (this.timeTrackingStrategy) {
+      // Stop at the moment the time ran out, which may be in the past
+      // if the timeout was handled late, e.g. after the page was closed
+      this.timeTrackingStrategy.stopTimeEntry(new Date(timeoutTime));
+    }
+  }
+  
+  handleOvertime(overtimeStartTime) {
+    if (this.timeTrackingStrategy) {
+      // Keep recording, but remember from when on the entry is overtime
+      this.timeTrackingStrategy.startOvertime(new Date(overtimeStartTime));
     }
   }
 }
 
-// Rest timer controller
-class RestTimerController extends TimerController {
-  constructor(model, view, startCallback) {
-    super(model, view, startCallback);
+// Work timer controller with time tracking
+class WorkTimerController extends TrackedTimerController {
+  constructor(model, view, startCallback, timeTrackingStrategy) {
+    super(model, view, startCallback, timeTrackingStrategy);
   }
   
-  // Rest timer doesn't need special handling for time tracking
+  isWork() {
+    return true;
+  }
+}
+
+// Rest timer controller, its time is only tracked when enabled for the rest phase
+class RestTimerController extends TrackedTimerController {
+  constructor(model, view, startCallback, timeTrackingStrategy) {
+    super(model, view, startCallback, timeTrackingStrategy);
+  }
 }
 
-// Strategy interface for time tracking
+// Strategy interface for time tracking. It covers recording and exporting entries, the other
+// operations of ExternalTimerAPI, like editing the history, are called directly
 class TimeTrackingStrategy {
-  startTimeEntry() {}
-  stopTimeEntry() {}
-  exportCSV() {}
+  startTimeEntry(startTime, type) {}
+  stopTimeEntry(stopTime) {}
+  pauseTimeEntry(pauseTime) {}
+  resumeTimeEntry(resumeTime, type) {}
+  startOvertime(startTime) {}
+  exportCSV(options) {}
+  exportICS(options) {}
 }
 
 // Concrete strategy implementation using ExternalTimerAPI
@@ -247,154 +627,387 @@ class ExternalApiTimeTracking extends TimeTrackingStrategy {
     this.api = api;
   }
   
-  startTimeEntry() {
-    this.api.startTimeEntry();
+  startTimeEntry(startTime, type) {
+    this.api.startTimeEntry(startTime, type);
+  }
+  
+  stopTimeEntry(stopTime) {
+    this.api.stopTimeEntry(stopTime);
+  }
+  
+  pauseTimeEntry(pauseTime) {
+    this.api.pauseTimeEntry(pauseTime);
+  }
+  
+  resumeTimeEntry(resumeTime, type) {
+    this.api.resumeTimeEntry(resumeTime, type);
+  }
+  
+  startOvertime(startTime) {
+    this.api.startOvertime(startTime);
   }
   
-  stopTimeEntry() {
-    this.api.stopTimeEntry();
+  exportCSV(options) {
+    return this.api.exportCSV(options);
   }
   
-  exportCSV() {
-    return this.api.exportCSV();
+  exportICS(options) {
+    return this.api.exportICS(options);
   }
 }
 
 
 // Work-Rest timer functionality - Using MVC pattern
 class WorkRestTimer {
-  constructor(player1Seconds, player2Seconds) {
-    const player1TimeInMs = player1Seconds * 1000;
-    const player2TimeInMs = player2Seconds * 1000;
+  /**
+   * @param {ProfilesStorage} profilesStorage - Storage of the profiles with the sequences of phases to run
+   */
+  constructor(profilesStorage) {
+    this.profilesStorage = profilesStorage;
     
     // Create time tracking strategy
-    const timeTrackingStrategy = new ExternalApiTimeTracking(ExternalTimerAPI);
+    this.timeTrackingStrategy = new ExternalApiTimeTracking(ExternalTimerAPI);
     
-    // Create models, views, and controllers
-    const workModel = new TimerModel(1, player1TimeInMs);
-    const restModel = new TimerModel(2, player2TimeInMs);
+    // Create the player for the alarm sounds of the phases
+    this.alarmPlayer = new AlarmPlayer();
     
-    const workView = new TimerView(document.getElementById('player1'));
-    const restView = new TimerView(document.getElementById('player2'));
-
-    let startCallback = (controller) => this.start(controller);
-    this.workController = new WorkTimerController(workModel, workView, startCallback, timeTrackingStrategy);
-    this.restController = new RestTimerController(restModel, restView, startCallback);
+    // Create the notifier for phases ending while the app is in the background
+    this.notifier = new PhaseNotifier();
     
-    this.controllers = [this.workController, this.restController];
+    // Timer elements are rendered around the controls
+    this.containerElement = document.querySelector('.timer-container');
+    this.controlsWrapper = document.querySelector('.controls-wrapper');
     
     // Controls
     this.controlsElement = document.getElementById('controls');
     this.pauseButton = document.getElementById('pause');
     this.resetButton = document.getElementById('reset');
     
-    // Timer state
+    // Timer state: the display loop and the timeout scheduled at the phase end
     this.timer = null;
     this.timeoutId = null;
+    this.deadlineId = null;
+    
+    // Number of times the whole sequence ran since the timer was started manually
+    this.completedCycles = 0;
+    
+    this.phases = [];
+    this.controllers = [];
+    this.createControllers(profilesStorage.getPhases());
     
     this.init();
   }
   
+  /**
+   * Render a timer for each phase and create its model, view and controller
+   * @param {Array} phases - Sequence of phases to run
+   */
+  createControllers(phases) {
+    this.phases = phases;
+    
+    const startCallback = (controller) => this.start(controller);
+    
+    this.controllers = phases.map((phase, index) => {
+      const element = TimerView.createElement(phase);
+      
+      // The first timer goes above the controls, the others below them
+      if (index === 0) {
+        this.containerElement.insertBefore(element, this.controlsWrapper);
+      } else {
+        this.containerElement.appendChild(element);
+      }
+      
+      const model = new TimerModel(phase.id, phase.duration * 1000);
+      const view = new TimerView(element);
+      
+      let controller;
+      const timeTrackingStrategy = phase.tracking ? this.timeTrackingStrategy : null;
+      if (phase.type === 'work') {
+        controller = new WorkTimerController(model, view, startCallback, timeTrackingStrategy);
+      } else {
+        controller = new RestTimerController(model, view, startCallback, timeTrackingStrategy);
+      }
+      
+      controller.setAlarm(this.alarmPlayer, phase.alarm || 'bell');
+      
+      // Set up edit button, inline duration editor and haptic feedback
+      view.onEdit(() => this.editTimer(controller));
+      view.onEditor({
+        onInput: (text) => view.setEditorError(this.validateDuration(text)),
+        onSubmit: (text) => this.submitDuration(controller, text),
+        onStep: (steps) => this.stepDuration(controller, steps),
+        onCancel: () => view.hideEditor()
+      });
+      view.addVibration(() => this.isRunning());
+      
+      return controller;
+    });
+    
+    // Use a compact layout when there are more timers than fit the screen
+    this.containerElement.classList.toggle('compact', phases.length > 2);
+  }
+  
+  /**
+   * Replace and save the sequence of phases. The timer is reset first,
+   * so a running time entry is stopped properly
+   * @param {Array} phases - Sequence of phases to run
+   */
+  setPhases(phases) {
+    this.reset();
+    this.profilesStorage.savePhases(phases);
+    this.renderPhases(phases);
+  }
+  
+  /**
+   * Switch to the phases of another profile. The timer is reset first,
+   * so a running time entry is stopped properly
+   * @param {string} profileId - Id of the profile to select
+   */
+  setProfile(profileId) {
+    this.reset();
+    this.profilesStorage.selectProfile(profileId);
+    this.renderPhases(this.profilesStorage.getPhases());
+  }
+  
+  /**
+   * Replace the rendered timers with the timers of the given phases
+   * @param {Array} phases - Sequence of phases to run
+   */
+  renderPhases(phases) {
+    this.controllers.forEach(controller => controller.view.element.remove());
+    this.createControllers(phases);
+    this.updateView();
+    this.saveState();
+  }
+  
+  /**
+   * @param {TimerController} controller
+   * @returns {Object} The phase the controller runs
+   */
+  getPhase(controller) {
+    return this.phases[this.controllers.indexOf(controller)];
+  }
+  
   init() {
     // Set up control buttons
     this.resetButton.addEventListener('click', () => this.reset());
     this.pauseButton.addEventListener('click', () => this.pause());
     
-    // Set up edit buttons for timers
-    const editPlayer1Button = document.getElementById('edit-player1');
-    const editPlayer2Button = document.getElementById('edit-player2');
+    // Check for a missed timeout as soon as a backgrounded tab becomes visible again
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.checkTimeout();
+        this.updateView();
+      }
+    });
     
-    if (editPlayer1Button) {
-      editPlayer1Button.addEventListener('click', (e) => {
-        e.stopPropagation(); // Prevent timer activation when clicking edit
-        this.editTimer(this.workController);
-      });
-    }
+    // Restore the timer state saved before the page was reloaded or closed
+    this.restoreState();
     
-    if (editPlayer2Button) {
-      editPlayer2Button.addEventListener('click', (e) => {
-        e.stopPropagation(); // Prevent timer activation when clicking edit
-        this.editTimer(this.restController);
-      });
-    }
+    // Start the phase chosen in a notification
+    this.notifier.onStartPhase((phaseId) => this.startPhase(phaseId));
     
-    // Set up click handlers and vibration for controllers
+    // Update visibility of controls
+    this.updateButtonsVisibility();
+  }
+  
+  /**
+   * Persist the timer state to localStorage so it survives a page reload
+   */
+  saveState() {
+    const currentController = this.getCurrentController();
+    const remainingTimes = {};
+    const overtime = {};
     this.controllers.forEach(controller => {
-      // Add haptic feedback
-      controller.view.addVibration(() => this.isRunning());
+      remainingTimes[controller.model.id] = controller.getRemainingTime();
+      overtime[controller.model.id] = controller.model.allowOvertime;
     });
     
-    // No need to initialize the play/pause button icons here,
-    // as the play/pause button should be hidden after page refresh
-    // because no timer is selected.
+    const state = {
+      currentId: currentController ? currentController.model.id : null,
+      isRunning: this.isRunning(),
+      endTime: currentController ? currentController.model.getEndTime() : null,
+      remainingTimes: remainingTimes,
+      overtime: overtime,
+      completedCycles: this.completedCycles
+    };
     
-    // Update visibility of controls
-    this.updateButtonsVisibility();
+    localStorage.setItem('timerState', JSON.stringify(state));
   }
   
   /**
-   * Edits the timer duration for the specified controller
-   * @param {TimerController} controller - The controller (work or rest) to edit
+   * Restore the timer state from localStorage. A running phase continues
+   * towards its saved end time, so the time that passed while the page
+   * was closed is caught up on automatically
    */
-  editTimer(controller) {
-    // Get the current time for this timer
-    const currentSeconds = controller.model.initialTime / 1000;
+  restoreState() {
+    const savedState = localStorage.getItem('timerState');
+    if (!savedState) return;
     
-    const hours = Math.floor(currentSeconds / 3600);
-    const minutes = Math.floor((currentSeconds % 3600) / 60);
-    const seconds = Math.floor(currentSeconds % 60);
+    let state;
+    try {
+      state = JSON.parse(savedState);
+    } catch (e) {
+      console.error('Error loading timer state:', e);
+      return;
+    }
     
-    // Format the current time for display
-    const timeStr = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    this.controllers.forEach(controller => {
+      const remainingTime = state.remainingTimes && state.remainingTimes[controller.model.id];
+      if (typeof remainingTime === 'number') {
+        controller.model.remainingTime = remainingTime;
+      }
+      controller.model.allowOvertime = Boolean(state.overtime && state.overtime[controller.model.id]);
+    });
     
-    // Use prompt dialog for all devices (mobile and desktop)
-    const isWork = controller === this.workController;
-    const result = prompt(`Enter new time for ${isWork ? 'Work' : 'Rest'} timer (hh:mm:ss):`, timeStr);
+    const currentController = this.controllers.find(controller => controller.model.id === state.currentId);
+    if (!currentController) {
+      this.updateView();
+      return;
+    }
     
-    if (result !== null && result !== '') {
-      try {
-        // Parse the time value
-        let newSeconds = this.parseTime(result);
-        
-        if (newSeconds <= 0) {
-          throw new Error('Time must be greater than zero');
-        }
-        
-        // Apply the new time
-        this.applyNewTime(controller, newSeconds);
-        
-      } catch (e) {
-        alert(`Error: ${e.message}`);
+    // Set the model directly: the time entry of a running tracked timer
+    // is restored by TimeEntriesStorage, so handleStart must not run again
+    currentController.model.setCurrent(true);
+    this.completedCycles = state.completedCycles || 0;
+    
+    if (state.isRunning && typeof state.endTime === 'number') {
+      currentController.model.endTime = state.endTime;
+      
+      if (currentController.hasTimedOut()) {
+        // The phase ended while the page was closed
+        this.handleTimeout(currentController);
+      } else {
+        this.startTimer();
+        this.updatePauseButton();
       }
-    }
-  }
-  
-  /**
-   * Parse time string into seconds
-   * @param {string} timeString - Time in format hh:mm:ss or hh:mm
-   * @returns {number} Total seconds
-   */
-  parseTime(timeString) {
-    // Parse time input
-    const timeParts = timeString.split(':').map(part => parseInt(part, 10) || 0);
-    let newSeconds = 0;
-    
-    if (timeParts.length === 3) {
-      // Format: hh:mm:ss
-      newSeconds = timeParts[0] * 3600 + timeParts[1] * 60 + timeParts[2];
-    } else if (timeParts.length === 2) {
-      // Format: hh:mm (standard for mobile time pickers)
-      // Always interpret as hours and minutes
-      newSeconds = timeParts[0] * 3600 + timeParts[1] * 60;
     } else {
-      throw new Error('Invalid time format. Please use hh:mm:ss or hh:mm');
+      this.updatePauseButton();
     }
     
-    return newSeconds;
+    this.updateView();
   }
   
   /**
-   * Apply the new time to the specified timer
+   * Opens the inline duration editor of the specified controller
+   * @param {TimerController} controller - The controller (work or rest) to edit
+   */
+  editTimer(controller) {
+    // Only one timer is edited at a time
+    this.controllers.forEach(c => {
+      if (c !== controller) {
+        c.view.hideEditor();
+      }
+    });
+    
+    controller.view.showEditor(this.formatTimeInput(controller.model.initialTime / 1000));
+  }
+  
+  /**
+   * @param {string} timeString - Duration typed in the editor
+   * @returns {string} Validation message, empty when the duration is valid
+   */
+  validateDuration(timeString) {
+    try {
+      if (this.parseTime(timeString) <= 0) {
+        return 'Time must be greater than zero';
+      }
+      return '';
+    } catch (e) {
+      return e.message;
+    }
+  }
+  
+  /**
+   * Apply the duration typed in the editor, or show why it is invalid
+   * @param {TimerController} controller - The edited controller
+   * @param {string} timeString - Duration typed in the editor
+   */
+  submitDuration(controller, timeString) {
+    const error = this.validateDuration(timeString);
+    if (error) {
+      controller.view.setEditorError(error);
+      return;
+    }
+    
+    this.applyNewTime(controller, this.parseTime(timeString));
+    controller.view.hideEditor();
+  }
+  
+  /**
+   * Change the duration in the editor by whole minutes
+   * @param {TimerController} controller - The edited controller
+   * @param {number} steps - Number of minutes to add, negative to subtract
+   */
+  stepDuration(controller, steps) {
+    // Step from the typed duration, or from the current one if it can't be parsed
+    let seconds;
+    try {
+      seconds = this.parseTime(controller.view.getEditorValue());
+    } catch (e) {
+      seconds = controller.model.initialTime / 1000;
+    }
+    
+    const newSeconds = seconds + steps * 60;
+    if (newSeconds > 0) {
+      controller.view.setEditorValue(this.formatTimeInput(newSeconds));
+      controller.view.setEditorError('');
+    }
+  }
+  
+  /**
+   * Format seconds for editing
+   * @param {number} totalSeconds - Time in seconds
+   * @returns {string} Time in format hh:mm:ss
+   */
+  formatTimeInput(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  }
+  
+  /**
+   * Parse a duration into seconds. Accepted formats are plain minutes (25),
+   * units (25m, 1h30m, 90s, 1h 15min) and clock times (1:30:00 as hh:mm:ss, 25:00 as mm:ss)
+   * @param {string} timeString - Duration typed by the user
+   * @returns {number} Total seconds
+   * @throws {Error} If the duration can't be parsed
+   */
+  parseTime(timeString) {
+    const text = timeString.trim().toLowerCase();
+    
+    // Plain number: minutes
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      return Math.round(parseFloat(text) * 60);
+    }
+    
+    // Clock time: hh:mm:ss or mm:ss
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+      const timeParts = text.split(':').map(part => parseInt(part, 10));
+      if (timeParts.slice(1).some(part => part >= 60)) {
+        throw new Error('Minutes and seconds must be less than 60');
+      }
+      return timeParts.reduce((total, part) => total * 60 + part, 0);
+    }
+    
+    // Numbers with units, the first letter of the unit tells hours, minutes or seconds
+    const unitPattern = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\s*/g;
+    const unitSeconds = { h: 3600, m: 60, s: 1 };
+    if (text !== '' && text.replace(unitPattern, '') === '') {
+      let totalSeconds = 0;
+      for (const match of text.matchAll(unitPattern)) {
+        totalSeconds += parseFloat(match[1]) * unitSeconds[match[2][0]];
+      }
+      return Math.round(totalSeconds);
+    }
+    
+    throw new Error('Enter a duration like 25, 25m, 1h30m, 90s or 1:30:00');
+  }
+  
+  /**
+   * Apply the new time to the specified timer
    * @param {TimerController} controller - The controller to update
    * @param {number} newSeconds - New time in seconds
    */
@@ -405,15 +1018,20 @@ class WorkRestTimer {
     // Always update the remaining time, even when the timer is running
     controller.resetRemainingTime();
     
-    // Update localStorage values based on which controller was passed
-    const isWorkController = controller === this.workController;
-    const storageKey = isWorkController ? 'player1Time' : 'player2Time';
+    // Reschedule the timeout for the new end time of a running timer
+    if (controller.model.isRunning()) {
+      this.startTimer();
+    }
     
-    // Update localStorage
-    localStorage.setItem(storageKey, newSeconds);
+    // Update the phase of the controller in localStorage
+    const phase = this.getPhase(controller);
+    phase.duration = newSeconds;
+    this.profilesStorage.updatePhase(phase.id, { duration: newSeconds });
     
     // Update the view
     controller.updateView();
+    
+    this.saveState();
   }
 
   /**
@@ -428,16 +1046,17 @@ class WorkRestTimer {
   }
   
   isRunning() {
-    return this.timer !== null;
+    return this.controllers.some(controller => controller.model.isRunning());
   }
   
   setCurrentController(controller, wasRunning, isRunning) {
-    this.controllers.forEach(c => c.setCurrent(c === controller, wasRunning, isRunning));
+    // Stop the other timers first, so their time entry is saved before the new one starts
+    this.controllers.filter(c => c !== controller).forEach(c => c.setCurrent(false, wasRunning, isRunning));
+    controller.setCurrent(true, wasRunning, isRunning);
   }
 
   updateView() {
-    this.workController.updateView();
-    this.restController.updateView();
+    this.controllers.forEach(controller => controller.updateView());
     this.updateButtonsVisibility();
   }
   
@@ -452,135 +1071,138 @@ class WorkRestTimer {
     }
   }
   
+  /**
+   * Show the pause icon while the timer is running and the play icon otherwise
+   */
+  updatePauseButton() {
+    const isRunning = this.isRunning();
+    this.pauseButton.querySelector('.pause-icon').classList.toggle('hidden', !isRunning);
+    this.pauseButton.querySelector('.play-icon').classList.toggle('hidden', isRunning);
+    this.pauseButton.setAttribute('aria-label', isRunning ? 'Pause' : 'Resume');
+  }
+  
   // Activates the specified controller's timer
   // If another timer was current, it stops that timer first
   start(controller) {
     const wasRunning = this.isRunning();
     
+    // Any interaction with the timer acknowledges a ringing alarm
+    this.alarmPlayer.stop();
+    
+    // Freeze the countdown of the previous controller and start the new one
+    this.controllers.forEach(c => {
+      if (c !== controller) {
+        c.stopCountdown();
+      }
+    });
+    controller.startCountdown();
+    
     // Set the new controller as current
     this.setCurrentController(controller, wasRunning, true);
+    this.completedCycles = 0;
+    
+    // Restart the timer loop for the new phase end
+    this.startTimer();
     
-    // Start the timer if not already running
     if (!wasRunning) {
-      this.startTimer();
-      
       // Show pause icon, hide play icon
-      this.pauseButton.querySelector('.pause-icon').classList.remove('hidden');
-      this.pauseButton.querySelector('.play-icon').classList.add('hidden');
-      this.pauseButton.setAttribute('aria-label', 'Pause');
+      this.updatePauseButton();
     }
     
     this.updateButtonsVisibility();
+    this.saveState();
   }
   
   pause() {
     const currentController = this.getCurrentController();
+    this.alarmPlayer.stop();
     if (this.isRunning()) {
-      // Cancel animation frame and clear timeout
-      cancelAnimationFrame(this.timer);
-      if (this.timeoutId) {
-        clearTimeout(this.timeoutId);
-        this.timeoutId = null;
-      }
-      this.timer = null;
+      this.stopTimer();
+      this.controllers.forEach(controller => controller.stopCountdown());
       
       // Toggle to play icon when paused
-      this.pauseButton.querySelector('.pause-icon').classList.add('hidden');
-      this.pauseButton.querySelector('.play-icon').classList.remove('hidden');
-      this.pauseButton.setAttribute('aria-label', 'Resume');
+      this.updatePauseButton();
       
-      // Handle stop event for current controller
+      // The time entry of the current controller is paused, not stopped
       if (currentController) {
-        currentController.handleStop();
+        currentController.handlePause();
       }
     } else if (currentController) {
       // Resume the timer
+      currentController.startCountdown();
       this.startTimer();
       
       // Toggle to pause icon when running
-      this.pauseButton.querySelector('.pause-icon').classList.remove('hidden');
-      this.pauseButton.querySelector('.play-icon').classList.add('hidden');
-      this.pauseButton.setAttribute('aria-label', 'Pause');
+      this.updatePauseButton();
+      
+      // Continue the paused time entry of the current controller
+      currentController.handleResume();
       
-      // Handle start event for current controller
-      currentController.handleStart();
+      // A new entry is overtime from its start, a resumed one keeps its overtime
+      if (currentController.isOvertime()) {
+        currentController.handleOvertime(Date.now());
+      }
     }
+    
+    this.saveState();
   }
   
   reset() {
     let wasRunning = this.isRunning();
     // Stop the timer directly
-    if (this.timer) {
-      cancelAnimationFrame(this.timer);
-      this.timer = null;
-    }
-    
-    if (this.timeoutId) {
-      clearTimeout(this.timeoutId);
-      this.timeoutId = null;
-    }
+    this.stopTimer();
+    this.alarmPlayer.stop();
     
     // Reset all controllers (this ensures no controller is current)
     this.controllers.forEach(controller => controller.reset(wasRunning));
+    this.completedCycles = 0;
     
     // Update visibility (will hide all controls since no timer is current)
     this.updateButtonsVisibility();
+    this.saveState();
   }
   
+  /**
+   * Start the display loop and schedule the timeout at the end of the current phase.
+   * The loop only renders the remaining time derived from the clock, the timeout
+   * is scheduled separately because animation frames don't run in hidden tabs
+   */
   startTimer() {
-    // Cancel any existing animation frame and clear timeout
-    if (this.timer) {
-      cancelAnimationFrame(this.timer);
-    }
-    if (this.timeoutId) {
-      clearTimeout(this.timeoutId);
-    }
-    
+    this.stopTimer();
     this.updateButtonsVisibility();
     
-    // Record the start time when we begin the timer
-    let lastUpdateTime = Date.now();
+    const currentController = this.getCurrentController();
+    if (!currentController) return;
+    
     // Minimum delay between updates (in ms)
     const UPDATE_DELAY = 50; 
     
     // Use animation frame with throttling for efficient updates
     const updateTimer = () => {
-      const now = Date.now();
-      const elapsedMs = now - lastUpdateTime;
-      
-      // Only update if enough time has passed (at least 50ms)
-      if (elapsedMs >= UPDATE_DELAY) {
-        const currentController = this.getCurrentController();
-        if (currentController) {
-          // Update based on actual elapsed time
-          const remainingTimeMs = currentController.updateTime(elapsedMs);
-          
-          if (remainingTimeMs <= 0) {
-            this.handleTimeout(currentController);
-            return; // Stop the timer
-          }
-          
-          // Update the last update time
-          lastUpdateTime = now;
-          
-          // Update display
-          this.updateButtonsVisibility();
-        }
+      currentController.updateView();
+      
+      if (this.checkTimeout()) {
+        return; // Stop the timer
       }
       
       // Schedule the next update using setTimeout + requestAnimationFrame
       // This creates a controlled frame rate without excessive updates
       this.timeoutId = setTimeout(() => {
         this.timer = requestAnimationFrame(updateTimer);
-      }, Math.max(0, UPDATE_DELAY - elapsedMs));
+      }, UPDATE_DELAY);
     };
     
     // Start the timer loop
     this.timer = requestAnimationFrame(updateTimer);
+    
+    // Fire the timeout at the phase end even if the display loop is suspended
+    this.deadlineId = setTimeout(() => this.checkTimeout(), currentController.getRemainingTime());
   }
   
-  handleTimeout(controller) {
-    // Stop the timer - cancel both animation frame and timeout
+  /**
+   * Cancel the display loop and the scheduled timeout
+   */
+  stopTimer() {
     if (this.timer) {
       cancelAnimationFrame(this.timer);
       this.timer = null;
@@ -591,26 +1213,212 @@ class WorkRestTimer {
       this.timeoutId = null;
     }
     
+    if (this.deadlineId) {
+      clearTimeout(this.deadlineId);
+      this.deadlineId = null;
+    }
+  }
+  
+  /**
+   * Handle the timeout if the current phase has run out of time.
+   * Browsers may delay timers in background tabs, so this is called from
+   * the display loop, the phase end timeout and when the page becomes visible
+   * @returns {boolean} Whether the timeout was handled
+   */
+  checkTimeout() {
+    const currentController = this.getCurrentController();
+    if (currentController && currentController.hasTimedOut()) {
+      this.handleTimeout(currentController);
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Stops the timer when the current phase runs out of time
+   * @param {TimerController} controller - The controller whose time ran out
+   */
+  handleTimeout(controller) {
+    // The phase ended at its end time, even if the timeout is handled later
+    const timeoutTime = controller.model.getEndTime() || Date.now();
+    
+    // The whole sequence ran once the last phase ends
+    if (this.isLastController(controller)) {
+      this.completedCycles++;
+    }
+    
+    // Keep counting past zero when no next phase starts automatically
+    const nextController = this.getAutoAdvanceController(controller);
+    this.notifyTimeout(controller, nextController, timeoutTime);
+    
+    if (!nextController && this.isOvertimeEnabled()) {
+      controller.startOvertime(timeoutTime);
+      this.completedCycles = 0;
+      this.saveState();
+      
+      // Restart the display loop, which stops once the timeout is handled
+      this.startTimer();
+      return;
+    }
+    
+    // Stop the timer - cancel both animation frame and timeout
+    this.stopTimer();
+    controller.stopCountdown();
+    controller.updateView();
+    
     // Let the controller handle its specific timeout behavior
-    controller.handleTimeout();
+    controller.handleTimeout(timeoutTime);
+    
+    if (nextController) {
+      this.advance(nextController, timeoutTime);
+      return;
+    }
+    
+    this.completedCycles = 0;
+    this.updatePauseButton();
+    this.saveState();
+  }
+  
+  /**
+   * Show a notification that the phase ended, unless that happened long ago
+   * @param {TimerController} controller - The controller whose time ran out
+   * @param {TimerController|null} nextController - The controller started automatically, if any
+   * @param {number} timeoutTime - Timestamp at which the time ran out
+   */
+  notifyTimeout(controller, nextController, timeoutTime) {
+    if (Date.now() - timeoutTime >= ALARM_MAX_DELAY) {
+      return;
+    }
+    
+    const index = this.controllers.indexOf(controller);
+    const nextPhase = this.phases[(index + 1) % this.phases.length];
+    this.notifier.notifyPhaseEnd(this.getPhase(controller), nextPhase, nextController !== null);
+  }
+  
+  /**
+   * Start a phase by its id, e.g. from a notification action
+   * @param {string} phaseId - Id of the phase to start
+   */
+  startPhase(phaseId) {
+    const controller = this.controllers.find(c => c.model.id === phaseId);
+    if (controller) {
+      this.start(controller);
+    }
+  }
+  
+  /**
+   * Switch to a phase of the given type. The current phase is kept if it has that type,
+   * otherwise the next phase of that type in the sequence is started
+   * @param {string} type - Either 'work' or 'rest'
+   */
+  startPhaseOfType(type) {
+    const currentIndex = Math.max(this.controllers.indexOf(this.getCurrentController()), 0);
+    for (let i = 0; i < this.controllers.length; i++) {
+      const index = (currentIndex + i) % this.controllers.length;
+      if (this.phases[index].type === type) {
+        this.start(this.controllers[index]);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Edit the duration of the current phase, or of the first one if no phase was started
+   */
+  editCurrentPhase() {
+    this.editTimer(this.getCurrentController() || this.controllers[0]);
+  }
+  
+  /**
+   * @returns {boolean} Whether timers keep counting past zero until the user stops them
+   */
+  isOvertimeEnabled() {
+    return localStorage.getItem('overtimeMode') === 'true';
+  }
+  
+  /**
+   * Read the auto-advance settings from localStorage
+   * @returns {{autoStartRest: boolean, autoStartWork: boolean, cycles: number}}
+   * Maximum number of cycles, 0 means no limit
+   */
+  getAutoAdvanceSettings() {
+    return {
+      autoStartRest: localStorage.getItem('autoStartRest') === 'true',
+      autoStartWork: localStorage.getItem('autoStartWork') === 'true',
+      cycles: parseInt(localStorage.getItem('autoCycles'), 10) || 0
+    };
+  }
+  
+  /**
+   * Determine which controller should start automatically after a timeout
+   * @param {TimerController} controller - The controller whose time ran out
+   * @returns {TimerController|null} The next controller or null to stop
+   */
+  getAutoAdvanceController(controller) {
+    const settings = this.getAutoAdvanceSettings();
+    
+    // A cycle ends with the last phase, stop once the configured number of cycles ran
+    if (this.isLastController(controller) && settings.cycles > 0 && this.completedCycles >= settings.cycles) {
+      return null;
+    }
+    
+    // Phases are advanced in order, starting over after the last one
+    const index = this.controllers.indexOf(controller);
+    const nextController = this.controllers[(index + 1) % this.controllers.length];
+    const autoStart = nextController.isWork() ? settings.autoStartWork : settings.autoStartRest;
+    return autoStart ? nextController : null;
+  }
+  
+  /**
+   * @param {TimerController} controller
+   * @returns {boolean} Whether the controller runs the last phase of the sequence
+   */
+  isLastController(controller) {
+    return this.controllers.indexOf(controller) === this.controllers.length - 1;
+  }
+  
+  /**
+   * Start the next phase with its full time right where the previous one ended
+   * @param {TimerController} controller - The controller to start
+   * @param {number} startTime - Timestamp at which the previous phase ended
+   */
+  advance(controller, startTime) {
+    controller.resetRemainingTime();
+    controller.model.start(startTime);
+    
+    // The previous phase has already been stopped, so switch the current
+    // controller directly and start the time entry at the phase boundary
+    this.controllers.forEach(c => c.model.setCurrent(c === controller));
+    controller.handleStart(startTime);
+    
+    this.updateView();
+    this.updatePauseButton();
+    this.saveState();
+    
+    // Starting the timer right away handles a missed end of the new phase too
+    this.startTimer();
   }
 }
 
 // Initialize the timer when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', () => {
-  // Initialize External Timer API
-  ExternalTimerAPI.init();
+document.addEventListener('DOMContentLoaded', async () => {
+  // Upgrade the data saved by earlier versions before it is loaded
+  await new StorageMigrations().run();
+  
+  // Initialize External Timer API, the timer is restored from the loaded time entries
+  await ExternalTimerAPI.init();
   
-  // Default values: 2h for work, 30m for rest
-  const workTimeInSeconds = 2 * 60 * 60; // 2 hours in seconds
-  const restTimeInSeconds = 30 * 60; // 30 minutes in seconds
+  // Catalog of the projects and tags new time entries are recorded with
+  const projectsStorage = ExternalTimerAPI.projects;
   
-  // Load player-specific times in seconds if available, otherwise use defaults
-  const player1TimeSeconds = parseFloat(localStorage.getItem('player1Time')) || workTimeInSeconds;
-  const player2TimeSeconds = parseFloat(localStorage.getItem('player2Time')) || restTimeInSeconds;
+  // Load the profiles, by default a single profile with a 2h work and a 30m rest phase
+  const profilesStorage = new ProfilesStorage(projectsStorage);
   
-  // Initialize with saved or default times in seconds
-  const workRestTimer = new WorkRestTimer(player1TimeSeconds, player2TimeSeconds);
+  // Initialize with the phases of the active profile
+  const workRestTimer = new WorkRestTimer(profilesStorage);
+  
+  // Set up keyboard shortcuts for the timer controls and the modals
+  const keyboardShortcuts = new KeyboardShortcuts();
   
   // Set up settings modal functionality
   const settingsButton = document.getElementById('settings');
@@ -618,94 +1426,956 @@ document.addEventListener('DOMContentLoaded', () => {
   const closeSettingsButton = document.getElementById('close-settings');
   const saveSettingsButton = document.getElementById('save-settings');
   
+  // Auto-advance and overtime elements
+  const autoStartRestInput = document.getElementById('auto-start-rest');
+  const autoStartWorkInput = document.getElementById('auto-start-work');
+  const autoCyclesInput = document.getElementById('auto-cycles');
+  const overtimeModeInput = document.getElementById('overtime-mode');
+  
+  // Alarm elements
+  const alarmVolumeInput = document.getElementById('alarm-volume');
+  const alarmRepeatInput = document.getElementById('alarm-repeat');
+  const alarmUntilAcknowledgedInput = document.getElementById('alarm-until-acknowledged');
+  
+  // Notification elements
+  const notificationsEnabledInput = document.getElementById('notifications-enabled');
+  const notificationPermissionText = document.getElementById('notification-permission');
+  
+  // Keyboard shortcut elements
+  const shortcutsSettingsList = document.getElementById('shortcuts-settings-list');
+  const resetShortcutsButton = document.getElementById('reset-shortcuts');
+  const shortcutsModal = document.getElementById('shortcuts-modal');
+  const closeShortcutsButton = document.getElementById('close-shortcuts');
+  const shortcutsList = document.getElementById('shortcuts-list');
+  
+  // Recovery elements
+  const recoveryModal = document.getElementById('recovery-modal');
+  const recoveryMessage = document.getElementById('recovery-message');
+  const closeRecoveryButton = document.getElementById('close-recovery');
+  const recoverLastSeenButton = document.getElementById('recover-last-seen');
+  const recoverPhaseEndButton = document.getElementById('recover-phase-end');
+  const recoverNowButton = document.getElementById('recover-now');
+  
   // Toggl integration elements
-  const togglWorkspaceInput = document.getElementById('toggl-workspace');
-  const togglProjectInput = document.getElementById('toggl-project');
-  const togglProjectNameInput = document.getElementById('toggl-project-name');
   const togglDescriptionInput = document.getElementById('toggl-description');
+  const exportRestEntriesInput = document.getElementById('export-rest-entries');
+  const pausedSessionsSelect = document.getElementById('paused-sessions');
   const togglExportButton = document.getElementById('toggl-export-btn');
+  const togglExportICSButton = document.getElementById('toggl-export-ics-btn');
+  const togglImportButton = document.getElementById('toggl-import-btn');
+  const importFileInput = document.getElementById('import-file');
+  const importPreview = document.getElementById('import-preview');
+  const importSummary = document.getElementById('import-summary');
+  const importList = document.getElementById('import-list');
+  const importConfirmButton = document.getElementById('import-confirm');
+  const importCancelButton = document.getElementById('import-cancel');
+  const downloadBackupButton = document.getElementById('download-backup');
+  const restoreBackupButton = document.getElementById('restore-backup');
+  const backupFileInput = document.getElementById('backup-file');
+  const restoreOptions = document.getElementById('restore-options');
+  const restoreSummary = document.getElementById('restore-summary');
+  const restoreReplaceButton = document.getElementById('restore-replace');
+  const restoreMergeButton = document.getElementById('restore-merge');
+  const restoreCancelButton = document.getElementById('restore-cancel');
   
   // Entries modal elements
   const entriesButton = document.getElementById('entries');
   const entriesModal = document.getElementById('entries-modal');
   const closeEntriesButton = document.getElementById('close-entries');
   const entriesList = document.getElementById('entries-list');
+  const entriesSummary = document.getElementById('entries-summary');
+  const addEntryButton = document.getElementById('add-entry');
   const exportEntriesButton = document.getElementById('export-entries');
+  const exportEntriesICSButton = document.getElementById('export-entries-ics');
+  const exportModal = document.getElementById('export-modal');
+  const exportTitle = document.getElementById('export-title');
+  const closeExportButton = document.getElementById('close-export');
+  const exportPeriodSelect = document.getElementById('export-period');
+  const exportBatchField = document.getElementById('export-batch-field');
+  const exportBatchSelect = document.getElementById('export-batch');
+  const exportCustomRange = document.getElementById('export-custom-range');
+  const exportFromInput = document.getElementById('export-from');
+  const exportToInput = document.getElementById('export-to');
+  const exportProjectSelect = document.getElementById('export-project');
+  const exportCount = document.getElementById('export-count');
+  const confirmExportButton = document.getElementById('confirm-export');
   const clearEntriesButton = document.getElementById('clear-entries');
+  const deleteSelectedButton = document.getElementById('delete-selected');
   
   // Toggl email input element
   const togglEmailInput = document.getElementById('toggl-email');
 
-  // Load Toggl settings from localStorage
-  togglWorkspaceInput.value = localStorage.getItem('togglWorkspace') || '';
-  togglProjectInput.value = localStorage.getItem('togglProject') || '';
-  togglProjectNameInput.value = localStorage.getItem('togglProjectName') || '';
-  togglEmailInput.value = localStorage.getItem('togglEmail') || '';
-  togglDescriptionInput.value = localStorage.getItem('togglDescription') || 'Work session';
+  // Function to load Toggl settings from localStorage, they change with the active profile
+  function loadTogglSettings() {
+    togglEmailInput.value = localStorage.getItem('togglEmail') || '';
+    togglDescriptionInput.value = localStorage.getItem('togglDescription') || 'Work session';
+    exportRestEntriesInput.checked = localStorage.getItem('exportRestEntries') === 'true';
+    pausedSessionsSelect.value = localStorage.getItem('pausedSessions') || 'split';
+  }
+  loadTogglSettings();
   
-  // Open settings modal
-  settingsButton.addEventListener('click', () => {
-    // Open settings without stopping the timer
-    settingsModal.classList.remove('hidden');
+  // Task elements
+  const taskForm = document.getElementById('task-form');
+  const taskInput = document.getElementById('task-input');
+  const switchTaskButton = document.getElementById('switch-task');
+  
+  // Function to show the current task, the default description of the active profile is used without one
+  function renderTask() {
+    taskInput.value = ExternalTimerAPI.getTask();
+    taskInput.placeholder = localStorage.getItem('togglDescription') || 'Work session';
+  }
+  renderTask();
+  
+  // Typing changes the description of the recording entry right away
+  taskInput.addEventListener('input', () => {
+    ExternalTimerAPI.setTask(taskInput.value);
   });
   
-  // Close settings modal
-  closeSettingsButton.addEventListener('click', () => {
-    settingsModal.classList.add('hidden');
+  taskForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    taskInput.blur();
   });
   
-  // Handle export button click
-  togglExportButton.addEventListener('click', () => {
-    const timeTrackingStrategy = workRestTimer.workController.timeTrackingStrategy;
-    const csvContent = timeTrackingStrategy.exportCSV();
-    if (csvContent) {
-      const date = new Date().toISOString().split('T')[0];
-      downloadCSV(csvContent, `time-entries-${date}.csv`);
+  // Start a new entry without touching the countdown, the new task is typed right after
+  switchTaskButton.addEventListener('click', () => {
+    if (ExternalTimerAPI.switchTask('')) {
+      renderTask();
+      taskInput.focus();
+    } else {
+      switchTaskButton.blur();
     }
   });
   
-  // Save settings
-  saveSettingsButton.addEventListener('click', () => {
-    // Save Toggl settings to localStorage
-    localStorage.setItem('togglWorkspace', togglWorkspaceInput.value);
-    localStorage.setItem('togglProject', togglProjectInput.value);
-    localStorage.setItem('togglProjectName', togglProjectNameInput.value);
-    localStorage.setItem('togglEmail', togglEmailInput.value);
-    localStorage.setItem('togglDescription', togglDescriptionInput.value);
+  // Project and tag elements
+  const projectSelect = document.getElementById('project-select');
+  const projectsList = document.getElementById('projects-list');
+  const addProjectButton = document.getElementById('add-project');
+  const tagsList = document.getElementById('tags-list');
+  const addTagButton = document.getElementById('add-tag');
+  
+  // Function to render the project picker on the main screen, it is only shown when there are projects
+  function renderProjectSelect() {
+    projectSelect.innerHTML = '';
     
-    // Close the modal
-    settingsModal.classList.add('hidden');
+    const noProjectOption = document.createElement('option');
+    noProjectOption.value = '';
+    noProjectOption.textContent = 'No project';
+    projectSelect.appendChild(noProjectOption);
+    
+    projectsStorage.getProjects().forEach(project => {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = project.name;
+      projectSelect.appendChild(option);
+    });
+    
+    const currentProject = projectsStorage.getCurrentProject();
+    projectSelect.value = currentProject ? currentProject.id : '';
+    projectSelect.style.borderLeftColor = currentProject ? currentProject.color : 'transparent';
+    projectSelect.classList.toggle('hidden', projectsStorage.getProjects().length === 0);
+  }
+  renderProjectSelect();
+  
+  // New time entries are recorded with the selected project, which becomes the project of the active profile
+  projectSelect.addEventListener('change', () => {
+    projectsStorage.selectProject(projectSelect.value);
+    profilesStorage.updateProfile(profilesStorage.getActiveProfile().id, profilesStorage.readTogglSettings());
+    renderProjectSelect();
+    
+    // Don't keep the focus, so keyboard shortcuts work right away
+    projectSelect.blur();
   });
   
-  // Function to render time entries list with running entry support
-  function renderTimeEntries() {
-    // We still need to use ExternalTimerAPI.storage directly here since 
-    // we didn't fully implement the strategy pattern for all operations
-    const entries = ExternalTimerAPI.storage.getEntries();
-    const currentEntry = ExternalTimerAPI.storage.getCurrentTimeEntry();
+  // Function to create a color input for a project or tag of the catalog
+  function createColorInput(item, onChange) {
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'catalog-color';
+    colorInput.value = item.color;
+    colorInput.setAttribute('aria-label', `Color of ${item.name}`);
+    colorInput.addEventListener('change', () => onChange(colorInput.value));
+    return colorInput;
+  }
+  
+  // Function to create a text input for a property of a project or tag of the catalog
+  function createCatalogInput(className, value, placeholder, onChange) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = className;
+    input.value = value;
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', placeholder);
+    input.addEventListener('change', () => onChange(input.value.trim()));
+    return input;
+  }
+  
+  // Function to render the catalog of projects in the settings. Changes are saved right away
+  function renderProjectsEditor() {
+    projectsList.innerHTML = '';
     
-    entriesList.innerHTML = '';
+    // Save a change of a project, an invalid change is reverted
+    const updateProject = (project, changes) => {
+      try {
+        projectsStorage.updateProject(project.id, changes);
+      } catch (e) {
+        alert(`Error: ${e.message}`);
+      }
+      renderProjectsEditor();
+      renderProjectSelect();
+    };
     
-    if (entries.length === 0 && !currentEntry) {
-      entriesList.innerHTML = '<div class="no-entries">No time entries yet</div>';
-      return;
-    }
+    projectsStorage.getProjects().forEach(project => {
+      const row = document.createElement('div');
+      row.className = 'catalog-row project-row';
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'catalog-remove';
+      removeButton.textContent = '×';
+      removeButton.setAttribute('aria-label', `Delete project ${project.name}`);
+      removeButton.addEventListener('click', () => {
+        projectsStorage.deleteProject(project.id);
+        renderProjectsEditor();
+        renderProjectSelect();
+      });
+      
+      row.appendChild(createColorInput(project, color => updateProject(project, { color: color })));
+      row.appendChild(createCatalogInput('project-name', project.name, 'Project name',
+        name => updateProject(project, { name: name })));
+      row.appendChild(createCatalogInput('project-workspace', project.workspaceId, 'Workspace ID',
+        workspaceId => updateProject(project, { workspaceId: workspaceId })));
+      row.appendChild(createCatalogInput('project-toggl-id', project.togglProjectId, 'Toggl project ID',
+        togglProjectId => updateProject(project, { togglProjectId: togglProjectId })));
+      row.appendChild(removeButton);
+      projectsList.appendChild(row);
+    });
+  }
+  
+  // Function to render the catalog of tags in the settings, the checked tags are added to new time entries
+  function renderTagsEditor() {
+    tagsList.innerHTML = '';
+    const currentTagIds = projectsStorage.getCurrentTags().map(tag => tag.id);
     
-    // Check if there's a running time entry and add it at the top with the rest of entries
-    if (currentEntry) {
-      const runningEntryItem = document.createElement('div');
-      runningEntryItem.className = 'entry-item running-entry';
-      runningEntryItem.id = 'running-entry';
+    // Save a change of a tag, an invalid change is reverted
+    const updateTag = (tag, changes) => {
+      try {
+        projectsStorage.updateTag(tag.id, changes);
+      } catch (e) {
+        alert(`Error: ${e.message}`);
+      }
+      renderTagsEditor();
+    };
+    
+    projectsStorage.getTags().forEach(tag => {
+      const row = document.createElement('div');
+      row.className = 'catalog-row tag-row';
       
-      const runningBadge = document.createElement('div');
-      runningBadge.className = 'running-badge';
-      runningBadge.textContent = 'Recording';
+      const activeInput = document.createElement('input');
+      activeInput.type = 'checkbox';
+      activeInput.className = 'tag-active';
+      activeInput.checked = currentTagIds.includes(tag.id);
+      activeInput.setAttribute('aria-label', `Add ${tag.name} to new time entries`);
+      activeInput.addEventListener('change', () => {
+        const ids = projectsStorage.getCurrentTags().map(currentTag => currentTag.id).filter(id => id !== tag.id);
+        projectsStorage.selectTags(activeInput.checked ? [...ids, tag.id] : ids);
+      });
       
-      const description = document.createElement('div');
-      description.className = 'entry-description';
-      description.textContent = currentEntry.description || 'Work session';
+      const removeButton = document.createElement('button');
+      removeButton.className = 'catalog-remove';
+      removeButton.textContent = '×';
+      removeButton.setAttribute('aria-label', `Delete tag ${tag.name}`);
+      removeButton.addEventListener('click', () => {
+        projectsStorage.deleteTag(tag.id);
+        renderTagsEditor();
+      });
       
-      const timeRange = document.createElement('div');
+      row.appendChild(activeInput);
+      row.appendChild(createColorInput(tag, color => updateTag(tag, { color: color })));
+      row.appendChild(createCatalogInput('tag-name', tag.name, 'Tag name', name => updateTag(tag, { name: name })));
+      row.appendChild(removeButton);
+      tagsList.appendChild(row);
+    });
+  }
+  
+  addProjectButton.addEventListener('click', () => {
+    projectsStorage.createProject(`Project ${projectsStorage.getProjects().length + 1}`);
+    renderProjectsEditor();
+    renderProjectSelect();
+  });
+  
+  addTagButton.addEventListener('click', () => {
+    projectsStorage.createTag(`Tag ${projectsStorage.getTags().length + 1}`);
+    renderTagsEditor();
+  });
+  
+  // Profile elements
+  const profileSelect = document.getElementById('profile-select');
+  const profilesList = document.getElementById('profiles-list');
+  const addProfileButton = document.getElementById('add-profile');
+  
+  // Function to render the profile picker on the main screen, it is only shown when there is a choice
+  function renderProfileSelect() {
+    profileSelect.innerHTML = '';
+    
+    profilesStorage.getProfiles().forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+    
+    profileSelect.value = profilesStorage.getActiveProfile().id;
+    profileSelect.classList.toggle('hidden', profilesStorage.getProfiles().length < 2);
+  }
+  renderProfileSelect();
+  
+  // Switch to the selected profile, which resets the timer
+  profileSelect.addEventListener('change', () => {
+    workRestTimer.setProfile(profileSelect.value);
+    loadTogglSettings();
+    renderProjectSelect();
+    renderTask();
+    
+    // Don't keep the focus, so keyboard shortcuts work right away
+    profileSelect.blur();
+  });
+  
+  // Function to switch to another profile while the settings are open
+  function selectProfile(profileId) {
+    workRestTimer.setProfile(profileId);
+    setEditedPhases(profilesStorage.getPhases());
+    loadTogglSettings();
+    renderProjectSelect();
+    renderTask();
+  }
+  
+  // Function to render the list of profiles in the settings. Changes to profiles are saved right away
+  function renderProfilesEditor() {
+    profilesList.innerHTML = '';
+    const activeProfile = profilesStorage.getActiveProfile();
+    
+    profilesStorage.getProfiles().forEach(profile => {
+      const row = document.createElement('div');
+      row.className = 'profile-row';
+      row.classList.toggle('active', profile.id === activeProfile.id);
+      
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'profile-name';
+      nameInput.value = profile.name;
+      nameInput.setAttribute('aria-label', 'Profile name');
+      nameInput.addEventListener('change', () => {
+        try {
+          profilesStorage.renameProfile(profile.id, nameInput.value);
+        } catch (e) {
+          alert(`Error: ${e.message}`);
+        }
+        renderProfilesEditor();
+        renderProfileSelect();
+      });
+      
+      const defaultLabel = document.createElement('label');
+      const defaultInput = document.createElement('input');
+      defaultInput.type = 'radio';
+      defaultInput.name = 'default-profile';
+      defaultInput.className = 'profile-default';
+      defaultInput.checked = profilesStorage.isDefaultProfile(profile.id);
+      defaultInput.addEventListener('change', () => {
+        profilesStorage.setDefaultProfile(profile.id);
+        renderProfilesEditor();
+      });
+      defaultLabel.appendChild(defaultInput);
+      defaultLabel.appendChild(document.createTextNode('Default'));
+      
+      const useButton = document.createElement('button');
+      useButton.className = 'profile-use';
+      useButton.textContent = 'Use';
+      useButton.disabled = profile.id === activeProfile.id;
+      useButton.setAttribute('aria-label', `Use profile ${profile.name}`);
+      useButton.addEventListener('click', () => {
+        selectProfile(profile.id);
+        renderProfilesEditor();
+        renderProfileSelect();
+      });
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'profile-remove';
+      removeButton.textContent = '×';
+      removeButton.disabled = profilesStorage.isDefaultProfile(profile.id);
+      removeButton.setAttribute('aria-label', `Delete profile ${profile.name}`);
+      removeButton.addEventListener('click', () => {
+        if (!confirm(`Delete the profile "${profile.name}"?`)) {
+          return;
+        }
+        
+        // Switch to the default profile first, so the timer is reset properly
+        if (profile.id === profilesStorage.getActiveProfile().id) {
+          selectProfile(profilesStorage.getDefaultProfile().id);
+        }
+        profilesStorage.deleteProfile(profile.id);
+        renderProfilesEditor();
+        renderProfileSelect();
+      });
+      
+      row.appendChild(nameInput);
+      row.appendChild(defaultLabel);
+      row.appendChild(useButton);
+      row.appendChild(removeButton);
+      profilesList.appendChild(row);
+    });
+  }
+  
+  // Create a copy of the active profile and switch to it
+  addProfileButton.addEventListener('click', () => {
+    const profile = profilesStorage.createProfile(`Profile ${profilesStorage.getProfiles().length + 1}`);
+    selectProfile(profile.id);
+    renderProfilesEditor();
+    renderProfileSelect();
+  });
+  
+  // Load auto-advance settings from localStorage
+  autoStartRestInput.checked = localStorage.getItem('autoStartRest') === 'true';
+  autoStartWorkInput.checked = localStorage.getItem('autoStartWork') === 'true';
+  autoCyclesInput.value = localStorage.getItem('autoCycles') || '';
+  overtimeModeInput.checked = localStorage.getItem('overtimeMode') === 'true';
+  
+  // Load alarm settings from localStorage
+  alarmVolumeInput.value = localStorage.getItem('alarmVolume') || '80';
+  alarmRepeatInput.value = localStorage.getItem('alarmRepeat') || '';
+  alarmUntilAcknowledgedInput.checked = localStorage.getItem('alarmUntilAcknowledged') === 'true';
+  
+  // Function to show whether the browser allows notifications
+  function updateNotificationPermission() {
+    const permission = workRestTimer.notifier.getPermission();
+    const messages = {
+      granted: '',
+      default: 'The browser will ask for permission to show notifications.',
+      denied: 'Notifications are blocked. Allow them in the browser settings of this site.',
+      unsupported: 'This browser does not support notifications.'
+    };
+    notificationPermissionText.textContent = messages[permission];
+    notificationsEnabledInput.disabled = permission === 'unsupported';
+    if (permission === 'denied' || permission === 'unsupported') {
+      notificationsEnabledInput.checked = false;
+    }
+  }
+  
+  // Load notification settings from localStorage
+  notificationsEnabledInput.checked = localStorage.getItem('notificationsEnabled') === 'true';
+  updateNotificationPermission();
+  
+  // Ask for the permission as soon as notifications are enabled
+  notificationsEnabledInput.addEventListener('change', async () => {
+    if (notificationsEnabledInput.checked) {
+      const permission = await workRestTimer.notifier.requestPermission();
+      notificationsEnabledInput.checked = permission === 'granted';
+    }
+    updateNotificationPermission();
+  });
+  
+  // Phases editor elements
+  const phasesList = document.getElementById('phases-list');
+  const addPhaseButton = document.getElementById('add-phase');
+  const pomodoroPhasesButton = document.getElementById('pomodoro-phases');
+  
+  // Phases being edited in the settings modal, they are applied when the settings are saved
+  let editedPhases = [];
+  
+  // The duration is edited as text, so it is kept as typed until saving
+  function toEditedPhase(phase) {
+    return {...phase, durationText: workRestTimer.formatTimeInput(phase.duration)};
+  }
+  
+  function setEditedPhases(phases) {
+    editedPhases = phases.map(toEditedPhase);
+    renderPhasesEditor();
+  }
+  
+  // Function to render the editable list of phases
+  function renderPhasesEditor() {
+    phasesList.innerHTML = '';
+    
+    editedPhases.forEach((phase, index) => {
+      const row = document.createElement('div');
+      row.className = 'phase-row';
+      
+      const main = document.createElement('div');
+      main.className = 'phase-row-main';
+      
+      const labelInput = document.createElement('input');
+      labelInput.type = 'text';
+      labelInput.className = 'phase-label';
+      labelInput.placeholder = 'Label';
+      labelInput.value = phase.label;
+      labelInput.addEventListener('input', () => phase.label = labelInput.value);
+      
+      const durationInput = document.createElement('input');
+      durationInput.type = 'text';
+      durationInput.className = 'phase-duration';
+      durationInput.placeholder = 'hh:mm:ss';
+      durationInput.value = phase.durationText;
+      durationInput.addEventListener('input', () => phase.durationText = durationInput.value);
+      
+      main.appendChild(labelInput);
+      main.appendChild(durationInput);
+      
+      const options = document.createElement('div');
+      options.className = 'phase-row-options';
+      
+      const typeSelect = document.createElement('select');
+      typeSelect.className = 'phase-type';
+      typeSelect.innerHTML = '<option value="work">Work</option><option value="rest">Rest</option>';
+      typeSelect.value = phase.type;
+      
+      // Alarm sound played when the phase ends, changing it plays the sound
+      const alarmSelect = document.createElement('select');
+      alarmSelect.className = 'phase-alarm';
+      alarmSelect.setAttribute('aria-label', 'Alarm sound');
+      workRestTimer.alarmPlayer.getSounds().forEach(sound => {
+        const option = document.createElement('option');
+        option.value = sound.name;
+        option.textContent = sound.label;
+        alarmSelect.appendChild(option);
+      });
+      alarmSelect.value = phase.alarm || 'bell';
+      alarmSelect.addEventListener('change', () => {
+        phase.alarm = alarmSelect.value;
+        workRestTimer.alarmPlayer.preview(phase.alarm);
+      });
+      
+      const trackingLabel = document.createElement('label');
+      const trackingInput = document.createElement('input');
+      trackingInput.type = 'checkbox';
+      trackingInput.className = 'phase-tracking';
+      trackingLabel.appendChild(trackingInput);
+      trackingLabel.appendChild(document.createTextNode('Track'));
+      
+      trackingInput.checked = phase.tracking;
+      
+      // Only work phases are tracked by default
+      typeSelect.addEventListener('change', () => {
+        phase.type = typeSelect.value;
+        phase.tracking = phase.type === 'work';
+        trackingInput.checked = phase.tracking;
+      });
+      trackingInput.addEventListener('change', () => phase.tracking = trackingInput.checked);
+      
+      const moveUpButton = document.createElement('button');
+      moveUpButton.className = 'phase-move-up';
+      moveUpButton.setAttribute('aria-label', 'Move phase up');
+      moveUpButton.textContent = '↑';
+      moveUpButton.disabled = index === 0;
+      moveUpButton.addEventListener('click', () => movePhase(index, -1));
+      
+      const moveDownButton = document.createElement('button');
+      moveDownButton.className = 'phase-move-down';
+      moveDownButton.setAttribute('aria-label', 'Move phase down');
+      moveDownButton.textContent = '↓';
+      moveDownButton.disabled = index === editedPhases.length - 1;
+      moveDownButton.addEventListener('click', () => movePhase(index, 1));
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'phase-remove';
+      removeButton.setAttribute('aria-label', 'Remove phase');
+      removeButton.textContent = '×';
+      // At least one phase is needed
+      removeButton.disabled = editedPhases.length === 1;
+      removeButton.addEventListener('click', () => {
+        editedPhases.splice(index, 1);
+        renderPhasesEditor();
+      });
+      
+      options.appendChild(typeSelect);
+      options.appendChild(alarmSelect);
+      options.appendChild(trackingLabel);
+      options.appendChild(moveUpButton);
+      options.appendChild(moveDownButton);
+      options.appendChild(removeButton);
+      
+      row.appendChild(main);
+      row.appendChild(options);
+      
+      phasesList.appendChild(row);
+    });
+  }
+  
+  function movePhase(index, offset) {
+    const [phase] = editedPhases.splice(index, 1);
+    editedPhases.splice(index + offset, 0, phase);
+    renderPhasesEditor();
+  }
+  
+  /**
+   * Convert the edited phases back into phases
+   * @returns {Array} Sequence of phases
+   * @throws {Error} If a phase has an invalid duration
+   */
+  function readEditedPhases() {
+    return editedPhases.map(phase => {
+      const label = phase.label.trim() || (phase.type === 'work' ? 'Work' : 'Rest');
+      const duration = workRestTimer.parseTime(phase.durationText);
+      
+      if (duration <= 0) {
+        throw new Error(`Time of ${label} must be greater than zero`);
+      }
+      
+      return {
+        id: phase.id,
+        label: label,
+        duration: duration,
+        type: phase.type,
+        tracking: Boolean(phase.tracking),
+        alarm: phase.alarm || 'bell'
+      };
+    });
+  }
+  
+  addPhaseButton.addEventListener('click', () => {
+    // Alternate between work and rest when adding phases
+    const lastPhase = editedPhases[editedPhases.length - 1];
+    const type = lastPhase && lastPhase.type === 'work' ? 'rest' : 'work';
+    const phase = profilesStorage.createPhase(type === 'work' ? 'Work' : 'Rest', type === 'work' ? 25 * 60 : 5 * 60, type);
+    editedPhases.push(toEditedPhase(phase));
+    renderPhasesEditor();
+  });
+  
+  pomodoroPhasesButton.addEventListener('click', () => {
+    setEditedPhases(profilesStorage.getPomodoroPhases());
+  });
+  
+  // Key bindings being edited in the settings modal, they are applied when the settings are saved
+  let editedShortcuts = {};
+  
+  // Function to render the remappable key of each action
+  function renderShortcutsEditor() {
+    shortcutsSettingsList.innerHTML = '';
+    
+    keyboardShortcuts.getShortcuts().forEach(shortcut => {
+      const row = document.createElement('div');
+      row.className = 'shortcut-row';
+      
+      const label = document.createElement('span');
+      label.className = 'shortcut-label';
+      label.textContent = shortcut.label;
+      
+      // Clicking the key waits for the new key to be pressed
+      const keyButton = document.createElement('button');
+      keyButton.className = 'shortcut-key';
+      keyButton.dataset.action = shortcut.action;
+      keyButton.textContent = keyboardShortcuts.formatKey(editedShortcuts[shortcut.action]);
+      keyButton.setAttribute('aria-label', `Change the key to ${shortcut.label.toLowerCase()}`);
+      keyButton.addEventListener('click', () => {
+        keyButton.textContent = 'Press a key…';
+        keyButton.classList.add('capturing');
+      });
+      keyButton.addEventListener('keydown', (e) => {
+        if (!keyButton.classList.contains('capturing') || e.key === 'Tab') {
+          return;
+        }
+        
+        // Don't let the key trigger the button or close the modal
+        e.preventDefault();
+        e.stopPropagation();
+        
+        // A key can only trigger one action, so the actions swap their keys
+        const key = keyboardShortcuts.normalizeKey(e.key);
+        const otherAction = Object.keys(editedShortcuts).find(action => editedShortcuts[action] === key);
+        if (otherAction) {
+          editedShortcuts[otherAction] = editedShortcuts[shortcut.action];
+        }
+        editedShortcuts[shortcut.action] = key;
+        renderShortcutsEditor();
+      });
+      keyButton.addEventListener('blur', () => {
+        keyButton.classList.remove('capturing');
+        keyButton.textContent = keyboardShortcuts.formatKey(editedShortcuts[shortcut.action]);
+      });
+      
+      row.appendChild(label);
+      row.appendChild(keyButton);
+      shortcutsSettingsList.appendChild(row);
+    });
+  }
+  
+  resetShortcutsButton.addEventListener('click', () => {
+    editedShortcuts = keyboardShortcuts.getDefaultBindings();
+    renderShortcutsEditor();
+  });
+  
+  // Function to render the overlay listing the keyboard shortcuts
+  function renderShortcutsList() {
+    shortcutsList.innerHTML = '';
+    
+    keyboardShortcuts.getShortcuts().forEach(shortcut => {
+      const row = document.createElement('div');
+      row.className = 'shortcut-row';
+      
+      const label = document.createElement('span');
+      label.className = 'shortcut-label';
+      label.textContent = shortcut.label;
+      
+      const key = document.createElement('kbd');
+      key.className = 'shortcut-key';
+      key.textContent = keyboardShortcuts.formatKey(shortcut.key);
+      
+      row.appendChild(label);
+      row.appendChild(key);
+      shortcutsList.appendChild(row);
+    });
+  }
+  
+  closeShortcutsButton.addEventListener('click', () => {
+    shortcutsModal.classList.add('hidden');
+  });
+  
+  // Open settings modal
+  settingsButton.addEventListener('click', () => {
+    // Start editing the profiles and the phases of the active profile
+    renderProfilesEditor();
+    setEditedPhases(profilesStorage.getPhases());
+    loadTogglSettings();
+    renderProjectsEditor();
+    renderTagsEditor();
+    
+    // Start editing the current key bindings
+    editedShortcuts = keyboardShortcuts.getBindings();
+    renderShortcutsEditor();
+    
+    // The permission may have been changed in the browser settings meanwhile
+    notificationsEnabledInput.checked = localStorage.getItem('notificationsEnabled') === 'true';
+    updateNotificationPermission();
+    
+    // Open settings without stopping the timer
+    settingsModal.classList.remove('hidden');
+  });
+  
+  // Close settings modal
+  closeSettingsButton.addEventListener('click', () => {
+    settingsModal.classList.add('hidden');
+  });
+  
+  // Handle export button clicks, the entries to export are chosen in the export modal
+  togglExportButton.addEventListener('click', () => openExportModal('csv'));
+  togglExportICSButton.addEventListener('click', () => openExportModal('ics'));
+  
+  // Reads the entries of CSV files in the Toggl import format
+  const csvImporter = new CsvImporter(ExternalTimerAPI.storage);
+  
+  // Entries read from the chosen CSV file, waiting to be imported
+  let pendingImport = null;
+  
+  // Most entries listed in the preview of an import
+  const IMPORT_PREVIEW_LIMIT = 10;
+  
+  // Function to hide the import preview and forget the chosen file
+  function cancelImport() {
+    pendingImport = null;
+    importFileInput.value = '';
+    importPreview.classList.add('hidden');
+  }
+  
+  // Function to show what an import will add before it is committed
+  function renderImportPreview({ entries, duplicateCount, errors }) {
+    const parts = [`${entries.length} new ${entries.length === 1 ? 'entry' : 'entries'}`];
+    if (duplicateCount > 0) {
+      parts.push(`${duplicateCount} already stored`);
+    }
+    if (errors.length > 0) {
+      parts.push(`${errors.length} ${errors.length === 1 ? 'row' : 'rows'} skipped`);
+    }
+    importSummary.textContent = parts.join(', ');
+    
+    importList.innerHTML = '';
+    entries.slice(0, IMPORT_PREVIEW_LIMIT).forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `${ExternalTimerAPI.storage.formatDate(entry.start)} · ` +
+        `${ExternalTimerAPI.storage.formatDuration(entry.duration)} · ${entry.description}` +
+        (entry.project_name ? ` (${entry.project_name})` : '');
+      importList.appendChild(item);
+    });
+    if (entries.length > IMPORT_PREVIEW_LIMIT) {
+      const more = document.createElement('li');
+      more.textContent = `and ${entries.length - IMPORT_PREVIEW_LIMIT} more`;
+      importList.appendChild(more);
+    }
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.className = 'import-error';
+      item.textContent = error;
+      importList.appendChild(item);
+    });
+    
+    importConfirmButton.disabled = entries.length === 0;
+    importPreview.classList.remove('hidden');
+  }
+  
+  togglImportButton.addEventListener('click', () => importFileInput.click());
+  
+  // Read the chosen CSV file and preview the entries that aren't stored yet
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    if (!file) return;
+    
+    try {
+      pendingImport = csvImporter.parseEntries(await file.text());
+    } catch (e) {
+      cancelImport();
+      alert(e.message);
+      return;
+    }
+    
+    renderImportPreview(pendingImport);
+  });
+  
+  importConfirmButton.addEventListener('click', () => {
+    ExternalTimerAPI.importTimeEntries(pendingImport.entries);
+    cancelImport();
+  });
+  importCancelButton.addEventListener('click', cancelImport);
+  
+  // Download a backup of all time entries and settings
+  downloadBackupButton.addEventListener('click', () => {
+    const backup = ExternalTimerAPI.backups.createBackup();
+    const date = backup.createdAt.split('T')[0];
+    downloadFile(JSON.stringify(backup, null, 2), `work-rest-timer-backup-${date}.json`, 'application/json');
+  });
+  
+  // Backup read from the chosen file, waiting to be restored
+  let pendingBackup = null;
+  
+  // Function to hide the restore options and forget the chosen backup
+  function cancelRestore() {
+    pendingBackup = null;
+    backupFileInput.value = '';
+    restoreOptions.classList.add('hidden');
+  }
+  
+  restoreBackupButton.addEventListener('click', () => backupFileInput.click());
+  
+  // Validate the chosen file and offer to replace or merge the stored data
+  backupFileInput.addEventListener('change', async () => {
+    const file = backupFileInput.files[0];
+    if (!file) return;
+    
+    try {
+      pendingBackup = ExternalTimerAPI.backups.parseBackup(await file.text());
+    } catch (e) {
+      cancelRestore();
+      alert(e.message);
+      return;
+    }
+    
+    const entryCount = pendingBackup.entries.length;
+    restoreSummary.textContent = `Backup from ${ExternalTimerAPI.storage.formatDate(pendingBackup.createdAt)} ` +
+      `with ${entryCount} time ${entryCount === 1 ? 'entry' : 'entries'}. Replace all time entries and settings, ` +
+      'or merge in the entries that aren\'t stored yet?';
+    restoreOptions.classList.remove('hidden');
+  });
+  
+  // Function to restore the chosen backup and reload the app with the restored data
+  async function restoreBackup(mode) {
+    await ExternalTimerAPI.backups.restoreBackup(pendingBackup, mode);
+    cancelRestore();
+    window.location.reload();
+  }
+  
+  restoreReplaceButton.addEventListener('click', () => {
+    if (confirm('Replace all time entries and settings with the backup?')) {
+      restoreBackup('replace');
+    }
+  });
+  restoreMergeButton.addEventListener('click', () => restoreBackup('merge'));
+  restoreCancelButton.addEventListener('click', cancelRestore);
+  
+  // Save settings
+  saveSettingsButton.addEventListener('click', () => {
+    let phases;
+    try {
+      phases = readEditedPhases();
+    } catch (e) {
+      alert(`Error: ${e.message}`);
+      return;
+    }
+    
+    // Only rebuild the timers when the phases changed, as this resets the timer
+    if (JSON.stringify(phases) !== JSON.stringify(profilesStorage.getPhases())) {
+      workRestTimer.setPhases(phases);
+    }
+    
+    // Save Toggl settings to localStorage
+    localStorage.setItem('togglEmail', togglEmailInput.value);
+    localStorage.setItem('togglDescription', togglDescriptionInput.value);
+    localStorage.setItem('exportRestEntries', exportRestEntriesInput.checked);
+    localStorage.setItem('pausedSessions', pausedSessionsSelect.value);
+    
+    // The default description and project belong to the active profile
+    profilesStorage.updateProfile(profilesStorage.getActiveProfile().id, profilesStorage.readTogglSettings());
+    renderTask();
+    
+    // Save auto-advance settings to localStorage
+    localStorage.setItem('autoStartRest', autoStartRestInput.checked);
+    localStorage.setItem('autoStartWork', autoStartWorkInput.checked);
+    localStorage.setItem('autoCycles', autoCyclesInput.value);
+    localStorage.setItem('overtimeMode', overtimeModeInput.checked);
+    
+    // Save alarm settings to localStorage
+    localStorage.setItem('alarmVolume', alarmVolumeInput.value);
+    localStorage.setItem('alarmRepeat', alarmRepeatInput.value);
+    localStorage.setItem('alarmUntilAcknowledged', alarmUntilAcknowledgedInput.checked);
+    
+    // Save notification settings to localStorage
+    localStorage.setItem('notificationsEnabled', notificationsEnabledInput.checked);
+    
+    // Save keyboard shortcuts to localStorage
+    keyboardShortcuts.saveBindings(editedShortcuts);
+    
+    // Close the modal
+    settingsModal.classList.add('hidden');
+  });
+  
+  // Function to render time entries list with running entry support
+  function renderTimeEntries() {
+    // We still need to use ExternalTimerAPI.storage directly here since 
+    // we didn't fully implement the strategy pattern for all operations
+    const entries = ExternalTimerAPI.storage.getEntries();
+    const currentEntry = ExternalTimerAPI.storage.getCurrentTimeEntry();
+    
+    // Forget the selection of entries that were deleted
+    selectedEntryIds.forEach(id => {
+      if (!entries.some(entry => entry.id === id)) {
+        selectedEntryIds.delete(id);
+      }
+    });
+    updateDeleteSelectedButton();
+    renderEntriesSummary();
+    
+    entriesList.innerHTML = '';
+    
+    // The form adding an entry is shown above all entries
+    if (isAddingEntry) {
+      entriesList.appendChild(createEntryAddForm());
+    }
+    
+    if (entries.length === 0 && !currentEntry) {
+      entriesList.insertAdjacentHTML('beforeend', '<div class="no-entries">No time entries yet</div>');
+      return;
+    }
+    
+    // Check if there's a running time entry and add it at the top with the rest of entries
+    if (currentEntry) {
+      const runningEntryItem = document.createElement('div');
+      runningEntryItem.className = 'entry-item running-entry';
+      runningEntryItem.id = 'running-entry';
+      runningEntryItem.classList.toggle('rest-entry', isRestEntry(currentEntry));
+      
+      const runningBadge = document.createElement('div');
+      runningBadge.className = 'running-badge';
+      runningBadge.textContent = ExternalTimerAPI.storage.isPaused() ? 'Paused' : 'Recording';
+      
+      const description = document.createElement('div');
+      description.className = 'entry-description';
+      description.textContent = currentEntry.description || 'Work session';
+      
+      const timeRange = document.createElement('div');
       timeRange.className = 'entry-time';
       timeRange.textContent = `${ExternalTimerAPI.storage.formatDate(currentEntry.start)} - now`;
       
@@ -713,14 +2383,28 @@ document.addEventListener('DOMContentLoaded', () => {
       duration.className = 'entry-duration';
       duration.id = 'running-duration';
       // Initial duration calculation
-      const elapsedSeconds = Math.floor((Date.now() - new Date(currentEntry.start).getTime()) / 1000);
+      const elapsedSeconds = ExternalTimerAPI.storage.getElapsedTime(currentEntry);
       duration.textContent = `Duration: ${ExternalTimerAPI.storage.formatDuration(elapsedSeconds)}`;
       
       runningEntryItem.appendChild(runningBadge);
+      if (isRestEntry(currentEntry)) {
+        runningEntryItem.appendChild(createEntryBadge('Rest'));
+      }
       runningEntryItem.appendChild(description);
+      const runningLabels = createEntryLabels(currentEntry);
+      if (runningLabels) {
+        runningEntryItem.appendChild(runningLabels);
+      }
       runningEntryItem.appendChild(timeRange);
       runningEntryItem.appendChild(duration);
       
+      if (currentEntry.overtime_start) {
+        const overtime = document.createElement('div');
+        overtime.className = 'entry-overtime';
+        overtime.textContent = `Overtime since ${ExternalTimerAPI.storage.formatDate(currentEntry.overtime_start)}`;
+        runningEntryItem.appendChild(overtime);
+      }
+      
       entriesList.appendChild(runningEntryItem);
       
       // Set up timer to update the duration
@@ -737,8 +2421,63 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Add the completed entries
     entries.forEach(entry => {
+      if (entry.id === editedEntryId) {
+        entriesList.appendChild(createEntryEditForm(entry));
+        return;
+      }
+      
       const entryItem = document.createElement('div');
       entryItem.className = 'entry-item';
+      entryItem.classList.toggle('rest-entry', isRestEntry(entry));
+      entryItem.dataset.id = entry.id;
+      
+      const entryActions = document.createElement('div');
+      entryActions.className = 'entry-actions';
+      
+      // Entries can be selected to delete several at once
+      const selectInput = document.createElement('input');
+      selectInput.type = 'checkbox';
+      selectInput.className = 'entry-select';
+      selectInput.checked = selectedEntryIds.has(entry.id);
+      selectInput.setAttribute('aria-label', `Select ${entry.description || 'Work session'}`);
+      selectInput.addEventListener('change', () => {
+        if (selectInput.checked) {
+          selectedEntryIds.add(entry.id);
+        } else {
+          selectedEntryIds.delete(entry.id);
+        }
+        updateDeleteSelectedButton();
+      });
+      
+      const editButton = document.createElement('button');
+      editButton.className = 'entry-edit';
+      editButton.textContent = 'Edit';
+      editButton.setAttribute('aria-label', `Edit ${entry.description || 'Work session'}`);
+      editButton.addEventListener('click', () => {
+        editedEntryId = entry.id;
+        renderTimeEntries();
+      });
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'entry-delete';
+      deleteButton.textContent = '×';
+      deleteButton.setAttribute('aria-label', `Delete ${entry.description || 'Work session'}`);
+      deleteButton.addEventListener('click', () => {
+        ExternalTimerAPI.deleteTimeEntries([entry.id], renderTimeEntries);
+        renderTimeEntries();
+      });
+      
+      entryActions.appendChild(selectInput);
+      entryActions.appendChild(editButton);
+      entryActions.appendChild(deleteButton);
+      entryItem.appendChild(entryActions);
+      
+      if (isRestEntry(entry)) {
+        entryItem.appendChild(createEntryBadge('Rest'));
+      }
+      if (entry.manual) {
+        entryItem.appendChild(createEntryBadge('Manual'));
+      }
       
       const description = document.createElement('div');
       description.className = 'entry-description';
@@ -753,13 +2492,363 @@ document.addEventListener('DOMContentLoaded', () => {
       duration.textContent = `Duration: ${ExternalTimerAPI.storage.formatDuration(entry.duration)}`;
       
       entryItem.appendChild(description);
+      const labels = createEntryLabels(entry);
+      if (labels) {
+        entryItem.appendChild(labels);
+      }
       entryItem.appendChild(timeRange);
       entryItem.appendChild(duration);
       
+      if (entry.overtime > 0) {
+        const overtime = document.createElement('div');
+        overtime.className = 'entry-overtime';
+        overtime.textContent = `Overtime: ${ExternalTimerAPI.storage.formatDuration(entry.overtime)}`;
+        entryItem.appendChild(overtime);
+      }
+      
+      // The duration of a session excludes its pauses
+      if (entry.pauses && entry.pauses.length > 0) {
+        const start = new Date(entry.start).getTime();
+        const stop = new Date(entry.stop).getTime();
+        const pausedSeconds = Math.floor(ExternalTimerAPI.storage.getPausedTime(entry.pauses, start, stop) / 1000);
+        const pauses = document.createElement('div');
+        pauses.className = 'entry-pauses';
+        pauses.textContent = `Paused ${entry.pauses.length} ${entry.pauses.length === 1 ? 'time' : 'times'}: ` +
+          ExternalTimerAPI.storage.formatDuration(pausedSeconds);
+        entryItem.appendChild(pauses);
+      }
+      
+      // Rest entries are usually left out of exports, so they are only shown as exported
+      if (entry.synced || !isRestEntry(entry)) {
+        entryItem.appendChild(createExportStatus(entry));
+      }
+      
       entriesList.appendChild(entryItem);
     });
   }
   
+  // Function to create the project and tags an entry was recorded with, or null if it has none
+  function createEntryLabels(entry) {
+    if (!entry.project_name && !(entry.tags && entry.tags.length > 0)) {
+      return null;
+    }
+    
+    const labels = document.createElement('div');
+    labels.className = 'entry-labels';
+    
+    // The colors of projects and tags that are still in the catalog are shown
+    const addLabel = (className, name, catalogItem) => {
+      const label = document.createElement('span');
+      label.className = className;
+      label.textContent = name;
+      if (catalogItem) {
+        label.style.borderLeftColor = catalogItem.color;
+      }
+      labels.appendChild(label);
+    };
+    
+    if (entry.project_name) {
+      addLabel('entry-project', entry.project_name, projectsStorage.findProjectByName(entry.project_name));
+    }
+    (entry.tags || []).forEach(tag => addLabel('entry-tag', tag, projectsStorage.findTagByName(tag)));
+    
+    return labels;
+  }
+  
+  // Function to create the line telling whether an entry has been exported yet
+  function createExportStatus(entry) {
+    const status = document.createElement('div');
+    status.className = 'entry-export-status';
+    if (entry.synced) {
+      status.classList.add('exported');
+      status.textContent = entry.exported_at ?
+        `Exported ${ExternalTimerAPI.storage.formatDate(entry.exported_at)}` : 'Exported';
+    } else {
+      status.textContent = 'Not exported yet';
+    }
+    return status;
+  }
+  
+  // Function to check whether an entry was recorded during a rest phase
+  function isRestEntry(entry) {
+    return ExternalTimerAPI.storage.getEntryType(entry) === 'rest';
+  }
+  
+  // Function to create a badge telling rest and manual entries apart from recorded work entries
+  function createEntryBadge(label) {
+    const badge = document.createElement('div');
+    badge.className = 'entry-type-badge';
+    badge.textContent = label;
+    return badge;
+  }
+  
+  // Function to show how much time was spent working and resting today
+  function renderEntriesSummary() {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const totals = ExternalTimerAPI.storage.getTotals(startOfToday);
+    
+    entriesSummary.classList.toggle('hidden', totals.work === 0 && totals.rest === 0);
+    entriesSummary.textContent = `Today: ${ExternalTimerAPI.storage.formatDuration(totals.work)} work, ` +
+      `${ExternalTimerAPI.storage.formatDuration(totals.rest)} rest`;
+  }
+  
+  // Id of the entry being edited in the history, only one entry is edited at a time
+  let editedEntryId = null;
+  
+  // Whether the form adding an entry by hand is shown in the history
+  let isAddingEntry = false;
+  
+  // Ids of the entries selected in the history to be deleted together
+  const selectedEntryIds = new Set();
+  
+  // Function to show the button deleting the selected entries only when entries are selected
+  function updateDeleteSelectedButton() {
+    deleteSelectedButton.classList.toggle('hidden', selectedEntryIds.size === 0);
+    deleteSelectedButton.textContent = `Delete Selected (${selectedEntryIds.size})`;
+  }
+  
+  // Function to format a date for a datetime-local input, in local time with seconds
+  function formatDateTimeInput(dateString) {
+    const date = new Date(dateString);
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+  
+  // Function to create the form adding a completed entry that wasn't recorded with the timer.
+  // The stop is given either as time or as duration
+  function createEntryAddForm() {
+    const form = document.createElement('form');
+    form.className = 'entry-item entry-edit-form entry-add-form';
+    form.noValidate = true;
+    
+    const createField = (labelText, input) => {
+      const label = document.createElement('label');
+      label.className = 'entry-edit-field';
+      label.textContent = labelText;
+      label.appendChild(input);
+      form.appendChild(label);
+      return input;
+    };
+    
+    const descriptionInput = document.createElement('input');
+    descriptionInput.type = 'text';
+    descriptionInput.className = 'entry-add-description';
+    descriptionInput.value = ExternalTimerAPI.getTaskDescription();
+    createField('Description', descriptionInput);
+    
+    const projectInput = document.createElement('select');
+    projectInput.className = 'entry-add-project';
+    [{ id: '', name: 'No project' }, ...projectsStorage.getProjects()].forEach(project => {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = project.name;
+      projectInput.appendChild(option);
+    });
+    const currentProject = projectsStorage.getCurrentProject();
+    projectInput.value = currentProject ? currentProject.id : '';
+    createField('Project', projectInput);
+    
+    // By default the last hour
+    const now = new Date();
+    const startInput = document.createElement('input');
+    startInput.type = 'datetime-local';
+    startInput.step = '1';
+    startInput.className = 'entry-add-start';
+    startInput.value = formatDateTimeInput(new Date(now.getTime() - 60 * 60 * 1000));
+    createField('Start', startInput);
+    
+    const stopInput = document.createElement('input');
+    stopInput.type = 'datetime-local';
+    stopInput.step = '1';
+    stopInput.className = 'entry-add-stop';
+    stopInput.value = formatDateTimeInput(now);
+    createField('Stop', stopInput);
+    
+    const durationInput = document.createElement('input');
+    durationInput.type = 'text';
+    durationInput.className = 'entry-add-duration';
+    durationInput.placeholder = 'e.g. 1h30m, instead of the stop time';
+    createField('Duration', durationInput);
+    
+    // A duration replaces the stop time
+    durationInput.addEventListener('input', () => {
+      stopInput.disabled = durationInput.value.trim() !== '';
+    });
+    
+    const error = document.createElement('div');
+    error.className = 'entry-edit-error entry-add-error';
+    error.setAttribute('aria-live', 'polite');
+    form.appendChild(error);
+    
+    const actions = document.createElement('div');
+    actions.className = 'entry-edit-actions';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'entry-add-cancel';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+      isAddingEntry = false;
+      renderTimeEntries();
+    });
+    
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'entry-edit-save entry-add-save';
+    saveButton.textContent = 'Add';
+    
+    actions.appendChild(cancelButton);
+    actions.appendChild(saveButton);
+    form.appendChild(actions);
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const start = new Date(startInput.value);
+      let stop = new Date(stopInput.value);
+      
+      try {
+        if (durationInput.value.trim()) {
+          stop = new Date(start.getTime() + workRestTimer.parseTime(durationInput.value) * 1000);
+        }
+        
+        ExternalTimerAPI.addManualEntry({
+          description: descriptionInput.value.trim(),
+          projectId: projectInput.value,
+          start: start,
+          stop: stop
+        });
+      } catch (err) {
+        error.textContent = err.message;
+        return;
+      }
+      
+      isAddingEntry = false;
+      renderTimeEntries();
+    });
+    
+    return form;
+  }
+  
+  // Value of the project option keeping the project of an edited entry that isn't in the catalog anymore
+  const KEEP_ENTRY_PROJECT = 'keep';
+  
+  // Function to create the form editing a completed entry in place of its row
+  function createEntryEditForm(entry) {
+    const form = document.createElement('form');
+    form.className = 'entry-item entry-edit-form';
+    form.dataset.id = entry.id;
+    form.noValidate = true;
+    
+    const createField = (labelText, input) => {
+      const label = document.createElement('label');
+      label.className = 'entry-edit-field';
+      label.textContent = labelText;
+      label.appendChild(input);
+      form.appendChild(label);
+      return input;
+    };
+    
+    const descriptionInput = document.createElement('input');
+    descriptionInput.type = 'text';
+    descriptionInput.className = 'entry-edit-description';
+    descriptionInput.value = entry.description || '';
+    createField('Description', descriptionInput);
+    
+    const startInput = document.createElement('input');
+    startInput.type = 'datetime-local';
+    startInput.step = '1';
+    startInput.className = 'entry-edit-start';
+    startInput.value = formatDateTimeInput(entry.start);
+    createField('Start', startInput);
+    
+    const stopInput = document.createElement('input');
+    stopInput.type = 'datetime-local';
+    stopInput.step = '1';
+    stopInput.className = 'entry-edit-stop';
+    stopInput.value = formatDateTimeInput(entry.stop);
+    createField('Stop', stopInput);
+    
+    const projectInput = document.createElement('select');
+    projectInput.className = 'entry-edit-project';
+    [{ id: '', name: 'No project' }, ...projectsStorage.getProjects()].forEach(project => {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = project.name;
+      projectInput.appendChild(option);
+    });
+    
+    // A project deleted from the catalog stays selected until another one is picked
+    const entryProject = projectsStorage.findProjectByName(entry.project_name);
+    if (entry.project_name && !entryProject) {
+      const option = document.createElement('option');
+      option.value = KEEP_ENTRY_PROJECT;
+      option.textContent = entry.project_name;
+      projectInput.appendChild(option);
+    }
+    projectInput.value = entryProject ? entryProject.id : entry.project_name ? KEEP_ENTRY_PROJECT : '';
+    createField('Project', projectInput);
+    
+    const error = document.createElement('div');
+    error.className = 'entry-edit-error';
+    error.setAttribute('aria-live', 'polite');
+    form.appendChild(error);
+    
+    const actions = document.createElement('div');
+    actions.className = 'entry-edit-actions';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'entry-edit-cancel';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+      editedEntryId = null;
+      renderTimeEntries();
+    });
+    
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'entry-edit-save';
+    saveButton.textContent = 'Save';
+    
+    actions.appendChild(cancelButton);
+    actions.appendChild(saveButton);
+    form.appendChild(actions);
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const changes = {
+        description: descriptionInput.value.trim() || 'Work session'
+      };
+      if (projectInput.value !== KEEP_ENTRY_PROJECT) {
+        const project = projectsStorage.getProject(projectInput.value);
+        changes.project_name = project ? project.name : '';
+        changes.project_id = project && project.togglProjectId ? parseInt(project.togglProjectId) : undefined;
+        changes.workspace_id = project && project.workspaceId ? parseInt(project.workspaceId) : undefined;
+      }
+      
+      try {
+        ExternalTimerAPI.storage.updateEntry(entry.id, {
+          ...changes,
+          start: new Date(startInput.value).toISOString(),
+          stop: new Date(stopInput.value).toISOString()
+        });
+      } catch (err) {
+        // An empty or incomplete date can't be converted
+        error.textContent = err instanceof RangeError ? 'Start and stop must be valid dates' : err.message;
+        return;
+      }
+      
+      editedEntryId = null;
+      renderTimeEntries();
+    });
+    
+    return form;
+  }
+  
   // Timer variable to update running entry duration
   let runningEntryTimer = null;
   
@@ -783,7 +2872,7 @@ document.addEventListener('DOMContentLoaded', () => {
       // Update the duration display
       const durationElement = document.getElementById('running-duration');
       if (durationElement) {
-        const elapsedSeconds = Math.floor((Date.now() - new Date(currentEntry.start).getTime()) / 1000);
+        const elapsedSeconds = ExternalTimerAPI.storage.getElapsedTime(currentEntry);
         durationElement.textContent = `Duration: ${ExternalTimerAPI.storage.formatDuration(elapsedSeconds)}`;
       } else {
         // If the element doesn't exist, stop the timer
@@ -807,25 +2896,270 @@ document.addEventListener('DOMContentLoaded', () => {
       clearInterval(runningEntryTimer);
       runningEntryTimer = null;
     }
+    
+    // Discard an unsaved edit, an unsaved added entry and the selection
+    editedEntryId = null;
+    isAddingEntry = false;
+    selectedEntryIds.clear();
     entriesModal.classList.add('hidden');
   });
   
-  // Export entries as CSV
-  exportEntriesButton.addEventListener('click', () => {
-    const timeTrackingStrategy = workRestTimer.workController.timeTrackingStrategy;
-    const csvContent = timeTrackingStrategy.exportCSV();
-    if (csvContent) {
-      const date = new Date().toISOString().split('T')[0];
-      downloadCSV(csvContent, `time-entries-${date}.csv`);
+  // Show the form adding an entry by hand
+  addEntryButton.addEventListener('click', () => {
+    isAddingEntry = true;
+    renderTimeEntries();
+    entriesList.querySelector('.entry-add-description').focus();
+  });
+  
+  // Export entries as CSV or ICS, the entries to export are chosen in the export modal
+  exportEntriesButton.addEventListener('click', () => openExportModal('csv'));
+  exportEntriesICSButton.addEventListener('click', () => openExportModal('ics'));
+  
+  // Format of the export the export modal is open for, 'csv' or 'ics'
+  let exportFormat = 'csv';
+  
+  // Projects the export can be limited to, the option values are their indexes
+  let exportProjectChoices = [];
+  
+  // Function to parse the value of a date input as the start of that day in the local time zone
+  function parseDateInput(value) {
+    if (!value) {
+      return null;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  
+  // Function to format a date as the value of a date input
+  function formatDateInput(date) {
+    return date.toLocaleDateString('en-CA');
+  }
+  
+  /**
+   * Get the range of starts of a period of the export modal. Weeks start on Monday.
+   * @param {string} period - 'all', 'new', 'batch', 'today', 'this-week', 'last-week', 'this-month' or 'custom'
+   * @param {Date} now - The current time
+   * @returns {{from: Date, to: Date}|{}|null} - Earliest start and excluded latest start, no range
+   *   for all entries, new entries and past exports, or null if the custom range is incomplete
+   */
+  function getExportRange(period, now) {
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+    const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    const startOfWeek = addDays(startOfToday, -((startOfToday.getDay() + 6) % 7));
+    
+    switch (period) {
+      case 'today':
+        return { from: startOfToday, to: addDays(startOfToday, 1) };
+      case 'this-week':
+        return { from: startOfWeek, to: addDays(startOfWeek, 7) };
+      case 'last-week':
+        return { from: addDays(startOfWeek, -7), to: startOfWeek };
+      case 'this-month':
+        return { from: new Date(now.getFullYear(), now.getMonth(), 1), to: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+      case 'custom': {
+        const from = parseDateInput(exportFromInput.value);
+        const to = parseDateInput(exportToInput.value);
+        // The last day of the range is included
+        return from && to ? { from: from, to: addDays(to, 1) } : null;
+      }
+      default:
+        return {};
     }
+  }
+  
+  // Function to get the options of the export chosen in the export modal, null if they are incomplete
+  function getExportOptions() {
+    const period = exportPeriodSelect.value;
+    const range = getExportRange(period, new Date());
+    if (!range || (period === 'batch' && !exportBatchSelect.value)) {
+      return null;
+    }
+    
+    const options = { ...range, projectName: exportProjectChoices[exportProjectSelect.value].projectName };
+    if (period === 'new') {
+      options.newOnly = true;
+    } else if (period === 'batch') {
+      options.batchId = exportBatchSelect.value;
+    }
+    return options;
+  }
+  
+  // Function to show the number of entries the chosen export contains
+  function updateExportCount() {
+    exportCustomRange.classList.toggle('hidden', exportPeriodSelect.value !== 'custom');
+    exportBatchField.classList.toggle('hidden', exportPeriodSelect.value !== 'batch');
+    
+    const options = getExportOptions();
+    const isValid = Boolean(options) && !(options.from && options.to <= options.from);
+    if (!options && exportPeriodSelect.value === 'batch') {
+      exportCount.textContent = 'No entries have been exported yet';
+    } else if (!options) {
+      exportCount.textContent = 'Choose the first and the last day of the range';
+    } else if (!isValid) {
+      exportCount.textContent = 'The last day must not be before the first day';
+    } else {
+      const count = ExternalTimerAPI.getExportEntries(options).length;
+      exportCount.textContent = `${count} ${count === 1 ? 'entry' : 'entries'} to export`;
+    }
+    confirmExportButton.disabled = !isValid;
+  }
+  
+  // Function to open the export modal for a format, listing the projects of the catalog and of the entries
+  function openExportModal(format) {
+    exportFormat = format;
+    exportTitle.textContent = format === 'ics' ? 'Export Time Entries (ICS)' : 'Export Time Entries (CSV)';
+    
+    const selectedChoice = exportProjectChoices[exportProjectSelect.value];
+    const projectNames = new Set([
+      ...projectsStorage.getProjects().map(project => project.name),
+      ...ExternalTimerAPI.storage.getEntries().map(entry => entry.project_name).filter(Boolean)
+    ]);
+    exportProjectChoices = [
+      { label: 'All projects', projectName: undefined },
+      { label: 'No project', projectName: '' },
+      ...[...projectNames].map(name => ({ label: name, projectName: name }))
+    ];
+    exportProjectSelect.innerHTML = '';
+    exportProjectChoices.forEach((choice, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = choice.label;
+      exportProjectSelect.appendChild(option);
+    });
+    
+    // Keep the project chosen for the last export
+    const selectedIndex = selectedChoice ?
+      exportProjectChoices.findIndex(choice => choice.projectName === selectedChoice.projectName) : 0;
+    exportProjectSelect.value = Math.max(selectedIndex, 0);
+    
+    // Past exports can be exported again, e.g. when a download got lost
+    exportBatchSelect.innerHTML = '';
+    ExternalTimerAPI.storage.getExportBatches().forEach(batch => {
+      const option = document.createElement('option');
+      option.value = batch.id;
+      option.textContent = `${ExternalTimerAPI.storage.formatDate(batch.exportedAt)} ` +
+        `(${batch.count} ${batch.count === 1 ? 'entry' : 'entries'})`;
+      exportBatchSelect.appendChild(option);
+    });
+    
+    if (!exportFromInput.value && !exportToInput.value) {
+      exportFromInput.value = exportToInput.value = formatDateInput(new Date());
+    }
+    
+    updateExportCount();
+    exportModal.classList.remove('hidden');
+  }
+  
+  exportPeriodSelect.addEventListener('change', updateExportCount);
+  exportFromInput.addEventListener('change', updateExportCount);
+  exportToInput.addEventListener('change', updateExportCount);
+  exportProjectSelect.addEventListener('change', updateExportCount);
+  exportBatchSelect.addEventListener('change', updateExportCount);
+  
+  closeExportButton.addEventListener('click', () => {
+    exportModal.classList.add('hidden');
   });
   
-  // Clear all entries
-  clearEntriesButton.addEventListener('click', () => {
-    if (confirm('Are you sure you want to delete all time entries? This cannot be undone.')) {
-      // Note: This operation isn't part of our strategy pattern yet
-      ExternalTimerAPI.storage.clearEntries();
+  // Export the chosen entries and close the export modal. New entries exported as CSV for the
+  // time tracking tool are marked as exported once downloaded, so its next export leaves them out.
+  // Calendar exports don't mark them, they would be missing from the time tracking tool otherwise
+  confirmExportButton.addEventListener('click', () => {
+    const timeTrackingStrategy = workRestTimer.timeTrackingStrategy;
+    const options = getExportOptions();
+    const date = new Date().toISOString().split('T')[0];
+    let isDownloaded = false;
+    
+    if (exportFormat === 'ics') {
+      const icsContent = timeTrackingStrategy.exportICS(options);
+      if (icsContent) {
+        downloadICS(icsContent, `time-entries-${date}.ics`);
+        isDownloaded = true;
+      }
+    } else {
+      const csvContent = timeTrackingStrategy.exportCSV(options);
+      if (csvContent) {
+        downloadCSV(csvContent, `time-entries-${date}.csv`);
+        isDownloaded = true;
+      }
+    }
+    
+    if (isDownloaded && options.newOnly && exportFormat === 'csv') {
+      ExternalTimerAPI.markExported(options);
       renderTimeEntries();
     }
+    exportModal.classList.add('hidden');
+  });
+  
+  // Delete the selected entries, they can be restored with the undo action
+  deleteSelectedButton.addEventListener('click', () => {
+    ExternalTimerAPI.deleteTimeEntries([...selectedEntryIds], renderTimeEntries);
+    selectedEntryIds.clear();
+    renderTimeEntries();
+  });
+  
+  // Clear all entries, they can be restored with the undo action
+  clearEntriesButton.addEventListener('click', () => {
+    ExternalTimerAPI.clearTimeEntries(renderTimeEntries);
+    renderTimeEntries();
+  });
+  
+  // Stop the time entry left recording by a closed or crashed page at the chosen time.
+  // The timer is paused, resuming it records a new entry
+  function recoverTimeEntry(stopTime) {
+    ExternalTimerAPI.stopTimeEntry(stopTime);
+    if (workRestTimer.isRunning()) {
+      workRestTimer.pause();
+    }
+    recoveryModal.classList.add('hidden');
+  }
+  
+  // Offer to stop a time entry whose heartbeat stopped while the page was closed, at the
+  // last heartbeat, at the planned end of the phase if it has passed, or now.
+  // This is only done once when the page is loaded
+  function offerRecovery() {
+    const staleEntry = ExternalTimerAPI.getStaleTimeEntry();
+    if (!staleEntry) return;
+    
+    const now = new Date();
+    const lastSeen = new Date(staleEntry.last_seen);
+    const currentController = workRestTimer.getCurrentController();
+    const phaseEnd = currentController && currentController.model.getEndTime() ?
+      new Date(currentController.model.getEndTime()) : null;
+    const hasPhaseEnded = phaseEnd && phaseEnd > new Date(staleEntry.start) && phaseEnd <= now;
+    
+    recoveryMessage.textContent = `"${staleEntry.description}" was still recording when the app was last seen ` +
+      `at ${ExternalTimerAPI.storage.formatDate(lastSeen)}. When did you stop?`;
+    recoverLastSeenButton.textContent = `Last seen (${lastSeen.toLocaleTimeString()})`;
+    recoverLastSeenButton.addEventListener('click', () => recoverTimeEntry(lastSeen));
+    recoverPhaseEndButton.classList.toggle('hidden', !hasPhaseEnded);
+    if (hasPhaseEnded) {
+      recoverPhaseEndButton.textContent = `Phase end (${phaseEnd.toLocaleTimeString()})`;
+      recoverPhaseEndButton.addEventListener('click', () => recoverTimeEntry(phaseEnd));
+    }
+    recoverNowButton.textContent = 'Now';
+    recoverNowButton.addEventListener('click', () => recoverTimeEntry(new Date()));
+    
+    recoveryModal.classList.remove('hidden');
+  }
+  
+  // Closing the dialog keeps the entry recording
+  closeRecoveryButton.addEventListener('click', () => {
+    recoveryModal.classList.add('hidden');
+  });
+  
+  offerRecovery();
+  
+  // Bind the keyboard shortcuts to the timer controls and the modals
+  keyboardShortcuts.on('pause', () => workRestTimer.pause());
+  keyboardShortcuts.on('work', () => workRestTimer.startPhaseOfType('work'));
+  keyboardShortcuts.on('rest', () => workRestTimer.startPhaseOfType('rest'));
+  keyboardShortcuts.on('reset', () => workRestTimer.reset());
+  keyboardShortcuts.on('edit', () => workRestTimer.editCurrentPhase());
+  keyboardShortcuts.on('history', () => entriesButton.click());
+  keyboardShortcuts.on('settings', () => settingsButton.click());
+  keyboardShortcuts.on('help', () => {
+    renderShortcutsList();
+    shortcutsModal.classList.remove('hidden');
   });
 });
\ No newline at end of file
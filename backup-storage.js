@@ -0,0 +1,144 @@
+// Marks a JSON file as a backup of this app
+const BACKUP_APP = 'work-rest-timer';
+
+// Version of the backup file format
+const BACKUP_VERSION = 1;
+
+// Settings of localStorage that are part of a backup: the profiles with their phases, the state
+// of the running timer and the timer, alarm, notification, keyboard and time tracking settings
+const BACKUP_SETTINGS_KEYS = [
+  'timerProfiles', 'activeProfile', 'defaultProfile', 'timerState',
+  'autoStartRest', 'autoStartWork', 'autoCycles', 'overtimeMode',
+  'alarmVolume', 'alarmRepeat', 'alarmUntilAcknowledged', 'notificationsEnabled', 'keyboardShortcuts',
+  'togglEmail', 'togglDescription', 'projects', 'tags', 'currentProject', 'currentTags', 'currentTask',
+  'exportRestEntries', 'pausedSessions'
+];
+
+/**
+ * BackupStorage class creates a JSON backup of all time entries, the running time entry and
+ * the settings, e.g. to move them to another device, and restores it. A backup either replaces
+ * the stored data or merges its entries with the stored entries by entry id.
+ * Backups made with an older storage version are upgraded by StorageMigrations once restored.
+ */
+class BackupStorage {
+  /**
+   * @param {TimeEntriesStorage} entriesStorage - Storage of the time entries
+   */
+  constructor(entriesStorage) {
+    this.entriesStorage = entriesStorage;
+  }
+
+  /**
+   * @param {Date} [now] - Time of the backup, defaults to now
+   * @returns {Object} - The backup
+   */
+  createBackup(now = new Date()) {
+    const settings = {};
+    BACKUP_SETTINGS_KEYS.forEach(key => {
+      const value = localStorage.getItem(key);
+      if (value !== null) {
+        settings[key] = value;
+      }
+    });
+
+    return {
+      app: BACKUP_APP,
+      version: BACKUP_VERSION,
+      storageVersion: new StorageMigrations().getVersion(),
+      createdAt: now.toISOString(),
+      entries: this.entriesStorage.getEntries(),
+      currentEntry: this.entriesStorage.getCurrentTimeEntry(),
+      settings: settings
+    };
+  }
+
+  /**
+   * Read and validate a backup file
+   * @param {string} text - Content of the file
+   * @returns {Object} - The backup
+   * @throws {Error} If the file isn't a valid backup of this app
+   */
+  parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not a valid JSON backup');
+    }
+
+    if (!backup || backup.app !== BACKUP_APP || typeof backup.version !== 'number') {
+      throw new Error('The file is not a backup of this app');
+    }
+    if (backup.version > BACKUP_VERSION || backup.storageVersion > new StorageMigrations().getLatestVersion()) {
+      throw new Error('The backup was made by a newer version of the app');
+    }
+
+    if (!Array.isArray(backup.entries)) {
+      throw new Error('The backup has no time entries');
+    }
+    backup.entries.forEach((entry, index) => {
+      if (!this.isValidEntry(entry) || isNaN(new Date(entry.stop).getTime())) {
+        throw new Error(`Time entry ${index + 1} of the backup is invalid`);
+      }
+    });
+    if (backup.currentEntry && !this.isValidEntry(backup.currentEntry)) {
+      throw new Error('The running time entry of the backup is invalid');
+    }
+
+    const settings = backup.settings || {};
+    if (typeof settings !== 'object' || Object.values(settings).some(value => typeof value !== 'string')) {
+      throw new Error('The settings of the backup are invalid');
+    }
+
+    return {
+      ...backup,
+      storageVersion: parseInt(backup.storageVersion) || 0,
+      currentEntry: backup.currentEntry || null,
+      settings: settings
+    };
+  }
+
+  /**
+   * @param {Object} entry - A time entry of a backup
+   * @returns {boolean} - Whether the entry has an id and a valid start
+   */
+  isValidEntry(entry) {
+    return Boolean(entry) && (typeof entry.id === 'string' || typeof entry.id === 'number') &&
+      !isNaN(new Date(entry.start).getTime());
+  }
+
+  /**
+   * Restore a backup. Replacing it replaces all entries, the running entry and the settings,
+   * so a running timer continues where the backup was made. Merging it adds the entries whose
+   * id isn't stored yet and keeps the settings. The page has to be reloaded afterwards to
+   * upgrade and load the restored data.
+   * @param {Object} backup - A backup read with parseBackup
+   * @param {string} mode - 'replace' or 'merge'
+   * @returns {Promise<number>} - Number of restored entries
+   */
+  async restoreBackup(backup, mode) {
+    let restoredCount;
+
+    if (mode === 'replace') {
+      this.entriesStorage.replaceEntries(backup.entries, backup.currentEntry);
+      restoredCount = backup.entries.length;
+
+      BACKUP_SETTINGS_KEYS.forEach(key => {
+        if (backup.settings[key] === undefined) {
+          localStorage.removeItem(key);
+        } else {
+          localStorage.setItem(key, backup.settings[key]);
+        }
+      });
+      localStorage.setItem('storageVersion', backup.storageVersion);
+    } else {
+      restoredCount = this.entriesStorage.restoreEntries(backup.entries).length;
+
+      // The migrations after the version of the backup are run again on all entries
+      localStorage.setItem('storageVersion', Math.min(new StorageMigrations().getVersion(), backup.storageVersion));
+    }
+
+    await this.entriesStorage.whenSaved();
+    return restoredCount;
+  }
+}
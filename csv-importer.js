@@ -0,0 +1,193 @@
+// Columns read from CSV files written by exportCSV and by the detailed export of Toggl Track.
+// Both use the same names, Toggl adds columns like User, Client or Billable that aren't imported.
+const CSV_IMPORT_COLUMNS = {
+  description: 'description',
+  startDate: 'start date',
+  startTime: 'start time',
+  endDate: 'end date',
+  endTime: 'end time',
+  duration: 'duration',
+  project: 'project',
+  tags: 'tags'
+};
+
+/**
+ * CsvImporter class reads time entries from CSV files in the Toggl import format. Dates and
+ * times are in the local time zone, as they are exported. Entries with the same start and stop
+ * as a stored entry, or as an earlier row of the file, are duplicates and aren't imported.
+ * Sessions with pauses may have been exported as a row per fragment between the pauses,
+ * so rows matching a fragment of a stored entry are duplicates too.
+ */
+class CsvImporter {
+  /**
+   * @param {TimeEntriesStorage} entriesStorage - Storage of the time entries to import into
+   */
+  constructor(entriesStorage) {
+    this.entriesStorage = entriesStorage;
+  }
+
+  /**
+   * Split CSV text into rows of fields. Quoted fields can contain commas, line breaks
+   * and quotes written as two quotes. Empty lines are skipped.
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} - The rows
+   */
+  parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Excel and Toggl start UTF-8 files with a byte order mark
+    const content = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Parse a local date and time as exported, e.g. 2026-01-05 and 09:30:00
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} time - Time in HH:MM:SS or HH:MM format
+   * @returns {Date|null} - The date or null if it is invalid
+   */
+  parseDateTime(date, time) {
+    const dateMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec((date || '').trim());
+    const timeMatch = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec((time || '').trim());
+    if (!dateMatch || !timeMatch) {
+      return null;
+    }
+
+    const [year, month, day] = dateMatch.slice(1).map(Number);
+    const [hours, minutes, seconds] = timeMatch.slice(1).map(part => Number(part || 0));
+    const result = new Date(year, month - 1, day, hours, minutes, seconds);
+
+    // Reject dates like 2026-02-30 that would roll over into the next month
+    return result.getDate() === day && result.getMonth() === month - 1 ? result : null;
+  }
+
+  /**
+   * Parse a duration as exported, e.g. 01:30:00. Toggl writes durations over a day as e.g. 25:00:00
+   * @param {string} duration - Duration in HH:MM:SS format
+   * @returns {number|null} - Duration in seconds or null if it is invalid
+   */
+  parseDuration(duration) {
+    const match = /^(\d+):(\d{2}):(\d{2})$/.exec((duration || '').trim());
+    if (!match) {
+      return null;
+    }
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+
+  /**
+   * Read the time entries of a CSV file and check which of them are new
+   * @param {string} text - Content of the CSV file
+   * @returns {{entries: Array, duplicateCount: number, errors: Array<string>}} - The new entries,
+   *   the number of duplicates and a message for each row that couldn't be read
+   * @throws {Error} If the file doesn't have the columns of the Toggl import format
+   */
+  parseEntries(text) {
+    const [header, ...rows] = this.parseRows(text);
+    const columns = {};
+    Object.keys(CSV_IMPORT_COLUMNS).forEach(key => {
+      columns[key] = (header || []).findIndex(name => name.trim().toLowerCase() === CSV_IMPORT_COLUMNS[key]);
+    });
+
+    const hasEnd = (columns.endDate !== -1 && columns.endTime !== -1) || columns.duration !== -1;
+    if (columns.startDate === -1 || columns.startTime === -1 || !hasEnd) {
+      throw new Error('The file needs Start date, Start time and End date, End time or Duration columns');
+    }
+
+    // Compare to the second, the precision of the CSV format
+    const getKey = (start, stop) => `${Math.floor(start / 1000)}-${Math.floor(stop / 1000)}`;
+    const knownKeys = new Set(this.entriesStorage.getEntries()
+      .flatMap(entry => [entry, ...this.entriesStorage.getFragments(entry)])
+      .map(entry => getKey(new Date(entry.start), new Date(entry.stop))));
+
+    const entries = [];
+    const errors = [];
+    let duplicateCount = 0;
+
+    rows.forEach((cells, index) => {
+      const cell = key => columns[key] === -1 ? '' : (cells[columns[key]] || '').trim();
+      const rowNumber = index + 2;
+
+      const start = this.parseDateTime(cell('startDate'), cell('startTime'));
+      if (!start) {
+        errors.push(`Row ${rowNumber}: invalid start "${cell('startDate')} ${cell('startTime')}"`);
+        return;
+      }
+
+      const duration = this.parseDuration(cell('duration'));
+      let stop = cell('endDate') ? this.parseDateTime(cell('endDate'), cell('endTime')) : null;
+      if (!stop && duration !== null) {
+        stop = new Date(start.getTime() + duration * 1000);
+      }
+      // Short sessions can start and stop within the same second
+      if (!stop || stop < start) {
+        errors.push(`Row ${rowNumber}: invalid end or duration`);
+        return;
+      }
+
+      // Sessions with pauses are exported with the net duration between their start and end
+      const span = Math.floor((stop - start) / 1000);
+
+      const key = getKey(start, stop);
+      if (knownKeys.has(key)) {
+        duplicateCount++;
+        return;
+      }
+      knownKeys.add(key);
+
+      // Entries added by hand are exported with the manual tag
+      const tags = cell('tags').split(',').map(tag => tag.trim()).filter(Boolean);
+      const isManual = tags.includes('manual');
+
+      entries.push({
+        // Unique like the start and stop the duplicates are found by
+        id: `imported-${start.getTime()}-${stop.getTime()}`,
+        description: cell('description') || 'Work session',
+        project_name: cell('project'),
+        tags: tags.filter(tag => tag !== 'manual'),
+        start: start.toISOString(),
+        stop: stop.toISOString(),
+        duration: duration === null ? span : Math.min(duration, span),
+        synced: false,
+        type: 'work',
+        ...(isManual ? { manual: true } : {})
+      });
+    });
+
+    return { entries, duplicateCount, errors };
+  }
+}
@@ -0,0 +1,160 @@
+// Actions that can be triggered from the keyboard, with their default keys
+const SHORTCUT_ACTIONS = {
+  pause: { label: 'Pause / resume', key: ' ' },
+  work: { label: 'Switch to work', key: 'w' },
+  rest: { label: 'Switch to rest', key: 'r' },
+  reset: { label: 'Reset', key: 'Escape' },
+  edit: { label: 'Edit current phase', key: 'e' },
+  history: { label: 'Open history', key: 'h' },
+  settings: { label: 'Open settings', key: 's' },
+  help: { label: 'Show shortcuts', key: '?' }
+};
+
+/**
+ * KeyboardShortcuts class maps keys to timer actions. The keys can be remapped,
+ * the bindings are stored in localStorage. Shortcuts are ignored while typing in
+ * a form field, and while a modal is open Escape only closes the modal.
+ */
+class KeyboardShortcuts {
+  constructor() {
+    this.handlers = {};
+    this.bindings = {};
+    this.loadBindings();
+
+    document.addEventListener('keydown', (event) => this.handleKeyDown(event));
+  }
+
+  /**
+   * Load the key bindings from localStorage, using the default key for actions that aren't remapped
+   */
+  loadBindings() {
+    let savedBindings = {};
+    try {
+      savedBindings = JSON.parse(localStorage.getItem('keyboardShortcuts')) || {};
+    } catch (e) {
+      console.error('Error loading keyboard shortcuts:', e);
+    }
+
+    this.bindings = this.getDefaultBindings();
+    Object.keys(this.bindings).forEach(action => {
+      if (typeof savedBindings[action] === 'string') {
+        this.bindings[action] = savedBindings[action];
+      }
+    });
+  }
+
+  /**
+   * @returns {Object} - Map from action to its default key
+   */
+  getDefaultBindings() {
+    const bindings = {};
+    Object.keys(SHORTCUT_ACTIONS).forEach(action => {
+      bindings[action] = SHORTCUT_ACTIONS[action].key;
+    });
+    return bindings;
+  }
+
+  /**
+   * @returns {Object} - Map from action to its key
+   */
+  getBindings() {
+    return {...this.bindings};
+  }
+
+  /**
+   * Replace the key bindings and save them to localStorage
+   * @param {Object} bindings - Map from action to its key
+   */
+  saveBindings(bindings) {
+    this.bindings = {...bindings};
+    localStorage.setItem('keyboardShortcuts', JSON.stringify(this.bindings));
+  }
+
+  /**
+   * @returns {Array} - Array of {action, label, key} objects in display order
+   */
+  getShortcuts() {
+    return Object.keys(SHORTCUT_ACTIONS).map(action => ({
+      action: action,
+      label: SHORTCUT_ACTIONS[action].label,
+      key: this.bindings[action]
+    }));
+  }
+
+  /**
+   * Set the function run by an action
+   * @param {string} action - Name of the action
+   * @param {Function} handler - Function to run
+   */
+  on(action, handler) {
+    this.handlers[action] = handler;
+  }
+
+  /**
+   * Normalize the key of a keyboard event, so letters match regardless of Shift and Caps Lock
+   * @param {string} key - The key property of a keyboard event
+   * @returns {string} - The normalized key
+   */
+  normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /**
+   * Format a key for display
+   * @param {string} key - A normalized key
+   * @returns {string} - The key as shown to the user
+   */
+  formatKey(key) {
+    const names = { ' ': 'Space', 'Escape': 'Esc' };
+    if (names[key]) {
+      return names[key];
+    }
+    return key.length === 1 ? key.toUpperCase() : key;
+  }
+
+  /**
+   * @param {string} key - A normalized key
+   * @returns {string|null} - The action bound to the key
+   */
+  getAction(key) {
+    return Object.keys(this.bindings).find(action => this.bindings[action] === key) || null;
+  }
+
+  /**
+   * @param {EventTarget} target - Target of a keyboard event
+   * @returns {boolean} - Whether the user is typing in a form field
+   */
+  isTyping(target) {
+    return target instanceof HTMLElement &&
+      (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
+
+  /**
+   * Run the action bound to the pressed key
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || this.isTyping(event.target)) {
+      return;
+    }
+
+    // While a modal is open the timer can't be controlled, Escape closes the modal. Modals opened
+    // from another modal, like the export modal, come later in the page and are closed first
+    const openModals = document.querySelectorAll('.modal:not(.hidden)');
+    const openModal = openModals[openModals.length - 1];
+    if (openModal) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        openModal.querySelector('.close-button').click();
+      }
+      return;
+    }
+
+    const action = this.getAction(this.normalizeKey(event.key));
+    if (action && this.handlers[action]) {
+      // Don't let Space also click the focused button or scroll the page
+      event.preventDefault();
+      this.handlers[action]();
+    }
+  }
+}
@@ -0,0 +1,128 @@
+// Tag shared by all phase notifications, so a new one replaces the previous one
+const PHASE_NOTIFICATION_TAG = 'phase-end';
+
+/**
+ * PhaseNotifier class shows a system notification when a phase ends. Notifications are
+ * shown through the service worker when it is available, so they can offer actions to
+ * start the next phase. Clicking an action is reported back to the page by the service
+ * worker, or through the URL hash when the page has to be opened again.
+ */
+class PhaseNotifier {
+  constructor() {
+    this.startPhaseCallback = null;
+
+    // Actions clicked in a notification are posted by the service worker
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'start-phase') {
+          this.startPhase(event.data.phaseId);
+        }
+      });
+    }
+  }
+
+  /**
+   * @returns {boolean} - Whether the browser supports notifications
+   */
+  isSupported() {
+    return 'Notification' in window;
+  }
+
+  /**
+   * @returns {string} - The notification permission: 'granted', 'denied', 'default' or 'unsupported'
+   */
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  /**
+   * Ask the user for the permission to show notifications
+   * @returns {Promise<string>} - The resulting permission
+   */
+  async requestPermission() {
+    if (!this.isSupported()) {
+      return 'unsupported';
+    }
+
+    if (Notification.permission !== 'default') {
+      return Notification.permission;
+    }
+
+    return await Notification.requestPermission();
+  }
+
+  /**
+   * @returns {boolean} - Whether notifications are enabled in the settings and allowed by the browser
+   */
+  isEnabled() {
+    return localStorage.getItem('notificationsEnabled') === 'true' && this.getPermission() === 'granted';
+  }
+
+  /**
+   * Set the function that starts a phase when a notification action is clicked.
+   * A start requested while the page was closed is handled right away.
+   * @param {Function} callback - Called with the id of the phase to start
+   */
+  onStartPhase(callback) {
+    this.startPhaseCallback = callback;
+
+    const match = window.location.hash.match(/^#start=(.+)$/);
+    if (match) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+      this.startPhase(decodeURIComponent(match[1]));
+    }
+  }
+
+  /**
+   * @param {string} phaseId - Id of the phase to start
+   */
+  startPhase(phaseId) {
+    if (this.startPhaseCallback) {
+      this.startPhaseCallback(phaseId);
+    }
+  }
+
+  /**
+   * Notify that a phase ended
+   * @param {Object} phase - The phase that ended
+   * @param {Object} nextPhase - The phase that follows in the sequence
+   * @param {boolean} nextPhaseStarted - Whether the next phase was started automatically
+   */
+  async notifyPhaseEnd(phase, nextPhase, nextPhaseStarted) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const title = `${phase.label} finished`;
+    const options = {
+      body: nextPhaseStarted ? `${nextPhase.label} started` : `Time for ${nextPhase.label}`,
+      tag: PHASE_NOTIFICATION_TAG,
+      renotify: true,
+      data: { phaseId: nextPhase.id }
+    };
+
+    // The next phase can only be started from the notification when it isn't running yet
+    const actions = [{ action: 'dismiss', title: 'Dismiss' }];
+    if (!nextPhaseStarted) {
+      actions.unshift({ action: 'start', title: nextPhase.type === 'work' ? 'Start work' : 'Start rest' });
+    }
+
+    try {
+      const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      // The service worker can only show notifications once it is active
+      if (registration && registration.active) {
+        await registration.showNotification(title, { ...options, actions: actions });
+        return;
+      }
+
+      // Notifications created by the page don't support actions, clicking one shows the app
+      const notification = new Notification(title, options);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    } catch (e) {
+      console.error('Error showing notification:', e);
+    }
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * ProfilesStorage class handles storing and retrieving named timer profiles from localStorage.
+ * A profile has a name, a sequence of phases and the default description and project of the
+ * time entries recorded with it, the project being one of the catalog of ProjectsStorage.
+ * Each phase has a label, a duration in seconds, a type (work or rest), a flag whether its
+ * time is tracked and the alarm sound played when it ends.
+ * The phases of the active profile are run in order. One profile is the default profile,
+ * which can't be deleted and is used when the active profile is deleted.
+ */
+class ProfilesStorage {
+  /**
+   * @param {ProjectsStorage} projectsStorage - Catalog of the projects of the profiles
+   */
+  constructor(projectsStorage) {
+    this.projectsStorage = projectsStorage;
+    this.profiles = [];
+    this.activeProfileId = null;
+    this.defaultProfileId = null;
+    this.nextId = 1;
+    this.loadProfiles();
+  }
+
+  /**
+   * Load the saved profiles from localStorage. The first time, the phases and
+   * Toggl settings saved before profiles existed become the default profile.
+   */
+  loadProfiles() {
+    const savedProfiles = localStorage.getItem('timerProfiles');
+    if (savedProfiles) {
+      try {
+        this.profiles = JSON.parse(savedProfiles);
+      } catch (e) {
+        console.error('Error loading timer profiles:', e);
+        this.profiles = [];
+      }
+    }
+
+    if (!Array.isArray(this.profiles) || this.profiles.length === 0) {
+      this.profiles = [this.getInitialProfile()];
+    }
+    this.profiles = this.profiles.map(profile => this.migrateProject(profile));
+
+    this.defaultProfileId = this.findProfileId(localStorage.getItem('defaultProfile')) || this.profiles[0].id;
+    this.activeProfileId = this.findProfileId(localStorage.getItem('activeProfile')) || this.defaultProfileId;
+    this.saveProfiles();
+  }
+
+  /**
+   * Replace the Toggl project of a profile saved before the catalog existed with a project of the catalog
+   * @param {Object} profile - The profile
+   * @returns {Object} - The profile with the id of its project
+   */
+  migrateProject(profile) {
+    if (profile.project !== undefined) {
+      return profile;
+    }
+
+    const {workspaceId, projectId, projectName, ...migratedProfile} = profile;
+    migratedProfile.project = projectName || projectId ? this.projectsStorage.findOrCreateProject({
+      name: projectName || `Project ${projectId}`,
+      workspaceId: workspaceId,
+      togglProjectId: projectId
+    }).id : '';
+    return migratedProfile;
+  }
+
+  /**
+   * @param {string|null} id - Id of a profile
+   * @returns {string|null} - The id if such a profile exists
+   */
+  findProfileId(id) {
+    return this.profiles.some(profile => profile.id === id) ? id : null;
+  }
+
+  /**
+   * Create the default profile from the phases and Toggl settings saved before profiles existed
+   * @returns {Object} - The profile
+   */
+  getInitialProfile() {
+    let phases = null;
+    try {
+      phases = JSON.parse(localStorage.getItem('timerPhases'));
+    } catch (e) {
+      console.error('Error loading timer phases:', e);
+    }
+
+    if (!Array.isArray(phases) || phases.length === 0) {
+      phases = this.getDefaultPhases();
+    }
+
+    // The phases are now part of the profile
+    localStorage.removeItem('timerPhases');
+    localStorage.removeItem('player1Time');
+    localStorage.removeItem('player2Time');
+
+    return {
+      id: 'default',
+      name: 'Default',
+      phases: phases,
+      ...this.readTogglSettings()
+    };
+  }
+
+  /**
+   * Get the default Work/Rest pair. Durations edited before the phases
+   * were configurable are kept from the player1Time/player2Time keys.
+   * @returns {Array} - Array of phase objects
+   */
+  getDefaultPhases() {
+    // Default values: 2h for work, 30m for rest
+    const workTimeInSeconds = parseFloat(localStorage.getItem('player1Time')) || 2 * 60 * 60;
+    const restTimeInSeconds = parseFloat(localStorage.getItem('player2Time')) || 30 * 60;
+
+    // The ids of the default phases are the ids of the original timer elements
+    return [
+      { id: 'player1', label: 'Work', duration: workTimeInSeconds, type: 'work', tracking: true, alarm: 'bell' },
+      { id: 'player2', label: 'Rest', duration: restTimeInSeconds, type: 'rest', tracking: false, alarm: 'chime' }
+    ];
+  }
+
+  /**
+   * Get the classic Pomodoro sequence: 4 x (25m work + 5m rest) followed by a 15m long break
+   * @returns {Array} - Array of phase objects
+   */
+  getPomodoroPhases() {
+    const phases = [];
+    for (let i = 1; i <= 4; i++) {
+      phases.push(this.createPhase(`Work ${i}`, 25 * 60, 'work'));
+      if (i < 4) {
+        phases.push(this.createPhase(`Rest ${i}`, 5 * 60, 'rest'));
+      }
+    }
+    phases.push(this.createPhase('Long break', 15 * 60, 'rest'));
+    return phases;
+  }
+
+  /**
+   * Create a new phase with a unique id
+   * @param {string} label - Label shown on the timer
+   * @param {number} duration - Duration in seconds
+   * @param {string} type - Either 'work' or 'rest'
+   * @returns {Object} - The created phase
+   */
+  createPhase(label, duration, type) {
+    return {
+      id: `phase-${Date.now()}-${this.nextId++}`,
+      label: label,
+      duration: duration,
+      type: type,
+      // Only work phases are tracked by default
+      tracking: type === 'work',
+      alarm: type === 'work' ? 'bell' : 'chime'
+    };
+  }
+
+  /**
+   * Read the time tracking settings of the active profile, which are kept in the
+   * default description and the current project of localStorage
+   * @returns {{description: string, project: string}}
+   */
+  readTogglSettings() {
+    const project = this.projectsStorage.getCurrentProject();
+    return {
+      description: localStorage.getItem('togglDescription') || 'Work session',
+      project: project ? project.id : ''
+    };
+  }
+
+  /**
+   * Write the time tracking settings of a profile to the default description
+   * and the current project, which are read when a time entry is started
+   * @param {Object} profile - The profile
+   */
+  writeTogglSettings(profile) {
+    localStorage.setItem('togglDescription', profile.description);
+    this.projectsStorage.selectProject(profile.project || '');
+  }
+
+  /**
+   * Save the profiles to localStorage
+   */
+  saveProfiles() {
+    localStorage.setItem('timerProfiles', JSON.stringify(this.profiles));
+    localStorage.setItem('activeProfile', this.activeProfileId);
+    localStorage.setItem('defaultProfile', this.defaultProfileId);
+  }
+
+  /**
+   * @returns {Array} - Array of profile objects
+   */
+  getProfiles() {
+    return this.profiles;
+  }
+
+  /**
+   * @param {string} id - Id of the profile
+   * @returns {Object|undefined} - The profile
+   */
+  getProfile(id) {
+    return this.profiles.find(profile => profile.id === id);
+  }
+
+  /**
+   * @returns {Object} - The profile whose phases are run
+   */
+  getActiveProfile() {
+    return this.getProfile(this.activeProfileId);
+  }
+
+  /**
+   * @returns {Object} - The profile used when the active profile is deleted
+   */
+  getDefaultProfile() {
+    return this.getProfile(this.defaultProfileId);
+  }
+
+  /**
+   * @param {string} id - Id of the profile
+   * @returns {boolean} - Whether it is the default profile
+   */
+  isDefaultProfile(id) {
+    return id === this.defaultProfileId;
+  }
+
+  /**
+   * Make a profile active and use its Toggl settings for new time entries
+   * @param {string} id - Id of the profile
+   */
+  selectProfile(id) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+
+    this.activeProfileId = id;
+    this.writeTogglSettings(profile);
+    this.saveProfiles();
+  }
+
+  /**
+   * Create a profile as a copy of the active profile
+   * @param {string} name - Name of the new profile
+   * @returns {Object} - The created profile
+   */
+  createProfile(name) {
+    const activeProfile = this.getActiveProfile();
+    const profile = {
+      ...activeProfile,
+      id: `profile-${Date.now()}-${this.nextId++}`,
+      name: name,
+      phases: activeProfile.phases.map(phase => ({...phase}))
+    };
+
+    this.profiles.push(profile);
+    this.saveProfiles();
+    return profile;
+  }
+
+  /**
+   * Update a single profile
+   * @param {string} id - Id of the profile to update
+   * @param {Object} changes - Properties to change
+   */
+  updateProfile(id, changes) {
+    this.profiles = this.profiles.map(profile => profile.id === id ? {...profile, ...changes} : profile);
+    this.saveProfiles();
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} id - Id of the profile
+   * @param {string} name - New name
+   */
+  renameProfile(id, name) {
+    if (!name.trim()) {
+      throw new Error('Profile name cannot be empty');
+    }
+    this.updateProfile(id, { name: name.trim() });
+  }
+
+  /**
+   * Make a profile the default profile
+   * @param {string} id - Id of the profile
+   */
+  setDefaultProfile(id) {
+    if (!this.getProfile(id)) {
+      throw new Error('Profile not found');
+    }
+    this.defaultProfileId = id;
+    this.saveProfiles();
+  }
+
+  /**
+   * Delete a profile. The default profile is selected if the active profile is deleted.
+   * @param {string} id - Id of the profile
+   */
+  deleteProfile(id) {
+    if (this.isDefaultProfile(id)) {
+      throw new Error('The default profile cannot be deleted');
+    }
+
+    this.profiles = this.profiles.filter(profile => profile.id !== id);
+    if (this.activeProfileId === id) {
+      this.selectProfile(this.defaultProfileId);
+    } else {
+      this.saveProfiles();
+    }
+  }
+
+  /**
+   * Get the sequence of phases of the active profile
+   * @returns {Array} - Array of phase objects
+   */
+  getPhases() {
+    return this.getActiveProfile().phases;
+  }
+
+  /**
+   * Replace the sequence of phases of the active profile and save it to localStorage
+   * @param {Array} phases - Array of phase objects
+   */
+  savePhases(phases) {
+    this.updateProfile(this.activeProfileId, { phases: phases });
+  }
+
+  /**
+   * Update a single phase of the active profile
+   * @param {string} id - Id of the phase to update
+   * @param {Object} changes - Properties to change
+   */
+  updatePhase(id, changes) {
+    this.savePhases(this.getPhases().map(phase => phase.id === id ? {...phase, ...changes} : phase));
+  }
+}
@@ -0,0 +1,277 @@
+// Colors given to new projects and tags in turn
+const CATALOG_COLORS = ['#4CAF50', '#64b5f6', '#ff8a65', '#ba68c8', '#ffd54f', '#4db6ac', '#f06292', '#a1887f'];
+
+/**
+ * ProjectsStorage class handles storing the catalog of projects and tags in localStorage,
+ * and which project and tags new time entries are recorded with. A project has a name,
+ * a color and optionally the ids of its Toggl workspace and project. A tag has a name and
+ * a color. Time entries store the name of their project and tags when they are created,
+ * so renaming or deleting a project doesn't change the entries recorded before.
+ */
+class ProjectsStorage {
+  constructor() {
+    this.projects = [];
+    this.tags = [];
+    this.nextId = 1;
+    this.loadCatalog();
+  }
+
+  /**
+   * Load the catalog from localStorage. The first time, the single project of
+   * the Toggl settings saved before the catalog existed becomes the current project.
+   */
+  loadCatalog() {
+    this.projects = this.loadList('projects');
+    this.tags = this.loadList('tags');
+
+    const legacyProject = this.readLegacyProject();
+    if (legacyProject) {
+      this.selectProject(this.findOrCreateProject(legacyProject).id);
+    }
+
+    // The project is now part of the catalog
+    localStorage.removeItem('togglWorkspace');
+    localStorage.removeItem('togglProject');
+    localStorage.removeItem('togglProjectName');
+    this.saveCatalog();
+  }
+
+  /**
+   * @param {string} key - localStorage key of the list
+   * @returns {Array} - The saved list, or an empty list
+   */
+  loadList(key) {
+    try {
+      const list = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      console.error(`Error loading ${key}:`, e);
+      return [];
+    }
+  }
+
+  /**
+   * Read the project of the Toggl settings saved before the catalog existed
+   * @returns {Object|null} - Name and Toggl ids of the project, or null if none was set
+   */
+  readLegacyProject() {
+    const name = localStorage.getItem('togglProjectName') || '';
+    const togglProjectId = localStorage.getItem('togglProject') || '';
+    if (!name && !togglProjectId) {
+      return null;
+    }
+
+    return {
+      name: name || `Project ${togglProjectId}`,
+      workspaceId: localStorage.getItem('togglWorkspace') || '',
+      togglProjectId: togglProjectId
+    };
+  }
+
+  /**
+   * Save the catalog to localStorage
+   */
+  saveCatalog() {
+    localStorage.setItem('projects', JSON.stringify(this.projects));
+    localStorage.setItem('tags', JSON.stringify(this.tags));
+  }
+
+  /**
+   * @param {string} prefix - Prefix of the id
+   * @returns {string} - A unique id
+   */
+  createId(prefix) {
+    return `${prefix}-${Date.now()}-${this.nextId++}`;
+  }
+
+  /**
+   * @param {Array} list - The projects or the tags
+   * @returns {string} - The color following the color of the last item
+   */
+  getNextColor(list) {
+    return CATALOG_COLORS[list.length % CATALOG_COLORS.length];
+  }
+
+  /**
+   * @returns {Array} - Array of project objects
+   */
+  getProjects() {
+    return this.projects;
+  }
+
+  /**
+   * @param {string} id - Id of the project
+   * @returns {Object|undefined} - The project
+   */
+  getProject(id) {
+    return this.projects.find(project => project.id === id);
+  }
+
+  /**
+   * @param {string} name - Name of a project
+   * @returns {Object|undefined} - The project with this name
+   */
+  findProjectByName(name) {
+    return this.projects.find(project => project.name === name);
+  }
+
+  /**
+   * Find the project with the same name or Toggl project id, or create it
+   * @param {Object} details - Name and optional Toggl ids of the project
+   * @returns {Object} - The project
+   */
+  findOrCreateProject(details) {
+    const project = this.projects.find(project => project.name === details.name ||
+      (details.togglProjectId && project.togglProjectId === details.togglProjectId));
+    return project || this.createProject(details.name, details);
+  }
+
+  /**
+   * Add a project to the catalog
+   * @param {string} name - Name of the project
+   * @param {Object} [details] - Optional workspaceId, togglProjectId and color
+   * @returns {Object} - The created project
+   */
+  createProject(name, details = {}) {
+    if (!name.trim()) {
+      throw new Error('Project name cannot be empty');
+    }
+
+    const project = {
+      id: this.createId('project'),
+      name: name.trim(),
+      color: details.color || this.getNextColor(this.projects),
+      workspaceId: details.workspaceId || '',
+      togglProjectId: details.togglProjectId || ''
+    };
+
+    this.projects.push(project);
+    this.saveCatalog();
+    return project;
+  }
+
+  /**
+   * Update a project of the catalog
+   * @param {string} id - Id of the project
+   * @param {Object} changes - Properties to change
+   */
+  updateProject(id, changes) {
+    if (changes.name !== undefined && !changes.name.trim()) {
+      throw new Error('Project name cannot be empty');
+    }
+
+    this.projects = this.projects.map(project => project.id === id ? {...project, ...changes, id: id} : project);
+    this.saveCatalog();
+  }
+
+  /**
+   * Remove a project from the catalog. Time entries keep the name of their project.
+   * @param {string} id - Id of the project
+   */
+  deleteProject(id) {
+    this.projects = this.projects.filter(project => project.id !== id);
+    if (localStorage.getItem('currentProject') === id) {
+      this.selectProject('');
+    }
+    this.saveCatalog();
+  }
+
+  /**
+   * @returns {Object|null} - The project new time entries are recorded with
+   */
+  getCurrentProject() {
+    return this.getProject(localStorage.getItem('currentProject')) || null;
+  }
+
+  /**
+   * Record new time entries with a project
+   * @param {string} id - Id of the project, or an empty string for no project
+   */
+  selectProject(id) {
+    localStorage.setItem('currentProject', this.getProject(id) ? id : '');
+  }
+
+  /**
+   * @returns {Array} - Array of tag objects
+   */
+  getTags() {
+    return this.tags;
+  }
+
+  /**
+   * @param {string} id - Id of the tag
+   * @returns {Object|undefined} - The tag
+   */
+  getTag(id) {
+    return this.tags.find(tag => tag.id === id);
+  }
+
+  /**
+   * @param {string} name - Name of a tag
+   * @returns {Object|undefined} - The tag with this name
+   */
+  findTagByName(name) {
+    return this.tags.find(tag => tag.name === name);
+  }
+
+  /**
+   * Add a tag to the catalog
+   * @param {string} name - Name of the tag
+   * @param {string} [color] - Color of the tag
+   * @returns {Object} - The created tag
+   */
+  createTag(name, color) {
+    if (!name.trim()) {
+      throw new Error('Tag name cannot be empty');
+    }
+
+    const tag = {
+      id: this.createId('tag'),
+      name: name.trim(),
+      color: color || this.getNextColor(this.tags)
+    };
+
+    this.tags.push(tag);
+    this.saveCatalog();
+    return tag;
+  }
+
+  /**
+   * Update a tag of the catalog
+   * @param {string} id - Id of the tag
+   * @param {Object} changes - Properties to change
+   */
+  updateTag(id, changes) {
+    if (changes.name !== undefined && !changes.name.trim()) {
+      throw new Error('Tag name cannot be empty');
+    }
+
+    this.tags = this.tags.map(tag => tag.id === id ? {...tag, ...changes, id: id} : tag);
+    this.saveCatalog();
+  }
+
+  /**
+   * Remove a tag from the catalog. Time entries keep the names of their tags.
+   * @param {string} id - Id of the tag
+   */
+  deleteTag(id) {
+    this.tags = this.tags.filter(tag => tag.id !== id);
+    this.selectTags(this.getCurrentTags().map(tag => tag.id));
+    this.saveCatalog();
+  }
+
+  /**
+   * @returns {Array} - The tags new time entries are recorded with
+   */
+  getCurrentTags() {
+    return this.loadList('currentTags').map(id => this.getTag(id)).filter(Boolean);
+  }
+
+  /**
+   * Record new time entries with tags
+   * @param {Array<string>} ids - Ids of the tags
+   */
+  selectTags(ids) {
+    localStorage.setItem('currentTags', JSON.stringify(ids.filter(id => this.getTag(id))));
+  }
+}
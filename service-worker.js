@@ -1,11 +1,20 @@
-const CACHE_NAME = 'work-rest-timer-v1';
+const CACHE_NAME = 'work-rest-timer-v11';
 const urlsToCache = [
   '/',
   '/index.html',
   '/style.css',
   '/app.js',
   '/time-tracking.js',
+  '/time-entries-database.js',
   '/time-entries-storage.js',
+  '/storage-migrations.js',
+  '/backup-storage.js',
+  '/csv-importer.js',
+  '/profiles-storage.js',
+  '/projects-storage.js',
+  '/alarm-player.js',
+  '/phase-notifier.js',
+  '/keyboard-shortcuts.js',
   '/manifest.json'
 ];
 
@@ -64,4 +73,32 @@ self.addEventListener('activate', event => {
       );
     })
   );
-});
\ No newline at end of file
+});
+
+// Handle clicks on the notifications shown when a phase ends
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  if (event.action === 'dismiss') {
+    return;
+  }
+
+  // The action starts the next phase, a click on the notification itself only shows the app
+  const phaseId = event.action === 'start' ? event.notification.data.phaseId : null;
+
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(windowClients => {
+        const client = windowClients[0];
+        if (client) {
+          if (phaseId) {
+            client.postMessage({ type: 'start-phase', phaseId: phaseId });
+          }
+          return client.focus();
+        }
+
+        // The page was closed, so pass the phase to start in the URL hash
+        return clients.openWindow(phaseId ? `/#start=${encodeURIComponent(phaseId)}` : '/');
+      })
+  );
+});
@@ -0,0 +1,101 @@
+// Upgrades of the stored data, in the order they are run. Each migration gets the database of
+// the time entries and upgrades the data saved by earlier versions of the app to its version.
+// New migrations are added at the end with the next version number and are never changed afterwards.
+// Entries merged from an older backup are migrated again, so data already upgraded must stay unchanged.
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Time entries have a type, entries recorded before rest phases could be tracked are work entries',
+    migrate: (database) => updateEntries(database, entry => ({
+      ...entry,
+      type: ENTRY_TYPES.includes(entry.type) ? entry.type : 'work',
+      synced: Boolean(entry.synced)
+    }))
+  },
+  {
+    version: 2,
+    description: 'Time entries store the names of their project and tags',
+    migrate: (database) => {
+      // Entries were exported with the project of the settings, which is only there
+      // until ProjectsStorage moves it into the catalog
+      const legacyProjectName = localStorage.getItem('togglProjectName') || '';
+      return updateEntries(database, entry => ({
+        ...entry,
+        project_name: entry.project_name !== undefined ? entry.project_name :
+          entry.type === 'rest' ? '' : legacyProjectName,
+        tags: Array.isArray(entry.tags) ? entry.tags : []
+      }));
+    }
+  }
+];
+
+/**
+ * Upgrade the completed entries and the running entry of the database
+ * @param {TimeEntriesDatabase|LocalStorageEntriesDatabase} database - The database of the time entries
+ * @param {Function} upgrade - Gets an entry and returns the upgraded entry
+ * @returns {Promise}
+ */
+async function updateEntries(database, upgrade) {
+  const entries = await database.getEntries();
+  await database.putEntries(entries.map(upgrade));
+
+  const currentEntry = await database.getCurrentEntry();
+  if (currentEntry) {
+    await database.putCurrentEntry(upgrade(currentEntry));
+  }
+}
+
+/**
+ * StorageMigrations class runs the migrations the stored data hasn't been upgraded with yet.
+ * The version of the stored data is kept in localStorage, data saved before the version
+ * existed has version 0. A failed migration is retried the next time the app is loaded.
+ */
+class StorageMigrations {
+  /**
+   * @param {Array} [migrations] - Migrations ordered by version
+   */
+  constructor(migrations = STORAGE_MIGRATIONS) {
+    this.migrations = migrations;
+  }
+
+  /**
+   * @returns {number} - Version of the stored data
+   */
+  getVersion() {
+    return parseInt(localStorage.getItem('storageVersion')) || 0;
+  }
+
+  /**
+   * @returns {number} - Version of the stored data once all migrations are run
+   */
+  getLatestVersion() {
+    return this.migrations.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+  }
+
+  /**
+   * Run the pending migrations in order. The version is saved after each migration,
+   * the migrations after a failed migration aren't run.
+   * @returns {Promise<number>} - Version of the stored data
+   */
+  async run() {
+    const pendingMigrations = this.migrations.filter(migration => migration.version > this.getVersion());
+    if (pendingMigrations.length === 0) {
+      return this.getVersion();
+    }
+
+    const database = await TimeEntriesDatabase.open();
+    for (const migration of pendingMigrations) {
+      try {
+        await migration.migrate(database);
+      } catch (e) {
+        console.error(`Error migrating the stored data to version ${migration.version}:`, e);
+        break;
+      }
+
+      localStorage.setItem('storageVersion', migration.version);
+      console.log(`Migrated the stored data to version ${migration.version}: ${migration.description}`);
+    }
+
+    return this.getVersion();
+  }
+}
@@ -23,6 +23,27 @@ describe('Work-Rest Timer Export Tests', function() {
   const PORT = 8081; // Using a different port than the main tests
   const URL = `http://localhost:${PORT}`;
   
+  /**
+   * Reads the time entries saved by the app, once its pending changes are saved
+   * @returns {Promise<Array>} Array of the stored time entry objects, oldest first
+   */
+  async function getStoredEntries() {
+    return await page.evaluate(async () => {
+      await ExternalTimerAPI.storage.whenSaved();
+      return ExternalTimerAPI.storage.database.getEntries();
+    });
+  }
+  
+  /**
+   * Deletes the database of the time entries, the app closes its connection to let it be deleted
+   */
+  async function deleteEntriesDatabase() {
+    await page.evaluate(() => new Promise(resolve => {
+      const request = indexedDB.deleteDatabase('workRestTimer');
+      request.onsuccess = request.onerror = request.onblocked = resolve;
+    }));
+  }
+  
   /**
    * Opens the entries modal
    */
@@ -55,6 +76,16 @@ describe('Work-Rest Timer Export Tests', function() {
     }
   }
   
+  /**
+   * Exports the entries chosen in the export modal with the default period and project
+   * @param {string} buttonSelector - Selector of the export button opening the export modal
+   */
+  async function clickExport(buttonSelector) {
+    await page.click(buttonSelector);
+    await page.waitForSelector('#export-modal:not(.hidden)');
+    await page.click('#confirm-export');
+  }
+  
   /**
    * Creates sample time entries for testing export functionality
    * @param {number} count - Number of entries to create
@@ -282,8 +313,21 @@ describe('Work-Rest Timer Export Tests', function() {
     console.log('Loaded the application');
     
     // Clear any existing time entries
+    await deleteEntriesDatabase();
     await page.evaluate(() => {
       localStorage.removeItem('timeEntries');
+      localStorage.removeItem('currentTimeEntry');
+      localStorage.removeItem('storageVersion');
+      localStorage.removeItem('timerState');
+      localStorage.removeItem('timerProfiles');
+      localStorage.removeItem('activeProfile');
+      localStorage.removeItem('defaultProfile');
+      localStorage.removeItem('exportRestEntries');
+      localStorage.removeItem('pausedSessions');
+      localStorage.removeItem('projects');
+      localStorage.removeItem('tags');
+      localStorage.removeItem('currentProject');
+      localStorage.removeItem('currentTags');
       // Reload to make sure the app picks up the changes
       window.location.reload();
     });
@@ -324,7 +368,7 @@ describe('Work-Rest Timer Export Tests', function() {
     const downloadPromise = page.waitForEvent('download');
     
     // Click the export button
-    await page.click('#export-entries');
+    await clickExport('#export-entries');
     console.log('Clicked export button');
     
     // Wait for download to start
@@ -365,7 +409,7 @@ describe('Work-Rest Timer Export Tests', function() {
     const downloadPromise = page.waitForEvent('download');
     
     // Click the export button
-    await page.click('#toggl-export-btn');
+    await clickExport('#toggl-export-btn');
     console.log('Clicked export button in settings');
     
     // Wait for download to start
@@ -440,7 +484,7 @@ describe('Work-Rest Timer Export Tests', function() {
     const downloadPromise = page.waitForEvent('download');
     
     // Export to CSV
-    await page.click('#export-entries');
+    await clickExport('#export-entries');
     
     // Wait for download to start and complete
     const download = await downloadPromise;
@@ -469,7 +513,7 @@ describe('Work-Rest Timer Export Tests', function() {
     const downloadPromise = page.waitForEvent('download');
     
     // Export to CSV
-    await page.click('#export-entries');
+    await clickExport('#export-entries');
     console.log('Clicked export button');
     
     // Wait for download to start and complete
@@ -491,7 +535,8 @@ describe('Work-Rest Timer Export Tests', function() {
       '"End time"',
       '"Duration"',
       '"Email"',
-      '"Project"'
+      '"Project"',
+      '"Tags"'
     ];
     
     // Verify the CSV has exactly the expected columns, no more and no less
@@ -521,7 +566,7 @@ describe('Work-Rest Timer Export Tests', function() {
     const downloadPromise = page.waitForEvent('download');
     
     // Export to CSV
-    await page.click('#export-entries');
+    await clickExport('#export-entries');
     console.log('Clicked export button');
     
     // Wait for download to start and complete
@@ -582,4 +627,398 @@ describe('Work-Rest Timer Export Tests', function() {
     
     console.log('Running entry display test completed successfully!');
   });
-});
\ No newline at end of file
+  
+  it('should track rest sessions when enabled and leave them out of the CSV by default', async function() {
+    // Save the settings and wait for the modal to close
+    async function saveSettings() {
+      await page.click('#save-settings');
+      await page.waitForSelector('#settings-modal.hidden');
+    }
+    
+    // Export the entries from the entries modal and return the CSV content
+    async function exportEntries() {
+      const downloadPromise = page.waitForEvent('download');
+      await clickExport('#export-entries');
+      const download = await downloadPromise;
+      const downloadPath = path.join(downloadsDir, download.suggestedFilename());
+      await download.saveAs(downloadPath);
+      return fs.readFileSync(downloadPath, 'utf8');
+    }
+    
+    // Enable tracking of the rest phase
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    const restTracking = page.locator('.phase-tracking').nth(1);
+    assert.strictEqual(await restTracking.isDisabled(), false, 'Rest phases should be trackable');
+    assert.strictEqual(await restTracking.isChecked(), false, 'Rest phases should not be tracked by default');
+    await restTracking.check();
+    await saveSettings();
+    
+    // Rest, then switch to work and pause
+    await page.click('#player2');
+    await page.waitForTimeout(1100);
+    await page.click('#player1');
+    await page.waitForTimeout(1100);
+    await page.click('#pause');
+    
+    const entries = await getStoredEntries();
+    assert.deepStrictEqual(entries.map(entry => entry.type), ['rest', 'work'], 'Both sessions should be recorded with their type');
+    assert.strictEqual(entries[0].description, 'Rest session', 'Rest entry should have the rest description');
+    
+    // Rest entries are styled differently and counted in the summary
+    await openEntriesModal();
+    assert.strictEqual(await page.locator('.entry-item.rest-entry').count(), 1, 'Rest entry should be marked');
+    assert.strictEqual(await page.textContent('.rest-entry .entry-type-badge'), 'Rest');
+    const summary = await page.textContent('#entries-summary');
+    assert.ok(/^Today: \d+s work, [1-9]\d*s rest$/.test(summary), `Summary should show work and rest totals, got: ${summary}`);
+    
+    // The CSV for Toggl only contains work by default
+    let csvContent = await exportEntries();
+    assert.strictEqual(csvContent.trim().split(/\r?\n/).length, 2, 'CSV should contain the header and the work entry');
+    assert.ok(!csvContent.includes('Rest session'), 'CSV should not include the rest entry');
+    await closeEntriesModal();
+    
+    // Rest entries are exported when enabled in the settings
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    await page.check('#export-rest-entries');
+    await saveSettings();
+    
+    await openEntriesModal();
+    csvContent = await exportEntries();
+    assert.strictEqual(csvContent.trim().split(/\r?\n/).length, 3, 'CSV should contain the header and both entries');
+    assert.ok(csvContent.includes('Rest session'), 'CSV should include the rest entry');
+    await closeEntriesModal();
+  });
+  
+  it('should export a paused session as fragments or as one entry with its net duration', async function() {
+    // Store a session of 60 minutes with a pause of 15 minutes
+    await page.evaluate(() => {
+      localStorage.setItem('timeEntries', JSON.stringify([{
+        id: 'paused-session',
+        description: 'Paused session',
+        start: '2026-01-05T09:00:00.000Z',
+        stop: '2026-01-05T10:00:00.000Z',
+        duration: 45 * 60,
+        synced: false,
+        type: 'work',
+        pauses: [{ start: '2026-01-05T09:30:00.000Z', stop: '2026-01-05T09:45:00.000Z' }]
+      }]));
+      window.location.reload();
+    });
+    await page.waitForLoadState('networkidle');
+    
+    // Export the entries from the entries modal and return the data rows
+    async function exportRows() {
+      await openEntriesModal();
+      const downloadPromise = page.waitForEvent('download');
+      await clickExport('#export-entries');
+      const download = await downloadPromise;
+      const downloadPath = path.join(downloadsDir, download.suggestedFilename());
+      await download.saveAs(downloadPath);
+      await closeEntriesModal();
+      return fs.readFileSync(downloadPath, 'utf8').trim().split(/\r?\n/).slice(1);
+    }
+    
+    // Split into the fragments between the pauses by default
+    let rows = await exportRows();
+    assert.strictEqual(rows.length, 2, 'Each fragment should be a separate row');
+    assert.ok(rows[0].includes('"00:30:00"') && rows[1].includes('"00:15:00"'), `Unexpected fragments: ${rows}`);
+    
+    await page.evaluate(() => localStorage.setItem('pausedSessions', 'merge'));
+    rows = await exportRows();
+    assert.strictEqual(rows.length, 1, 'The session should be a single row');
+    assert.ok(rows[0].includes('"00:45:00"'), `Row should have the net duration, got: ${rows[0]}`);
+  });
+  
+  it('should download a JSON backup and restore it by replacing or merging entries', async function() {
+    await createSampleTimeEntries(2);
+    await page.evaluate(() => localStorage.setItem('togglEmail', 'backup@example.com'));
+    
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    
+    const downloadPromise = page.waitForEvent('download');
+    await page.click('#download-backup');
+    const download = await downloadPromise;
+    const backupPath = path.join(downloadsDir, download.suggestedFilename());
+    await download.saveAs(backupPath);
+    
+    const backup = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+    assert.strictEqual(backup.app, 'work-rest-timer', 'The backup should be marked as a backup of the app');
+    assert.strictEqual(backup.entries.length, 2, 'The backup should contain all entries with their ids');
+    assert.ok(backup.entries.every(entry => entry.id && 'synced' in entry), 'Entries should be backed up without losing fields');
+    assert.strictEqual(backup.settings.togglEmail, 'backup@example.com', 'The backup should contain the settings');
+    
+    // Restore it after the data changed on this device
+    await page.evaluate(async () => {
+      ExternalTimerAPI.storage.deleteEntries([ExternalTimerAPI.storage.getEntries()[0].id]);
+      ExternalTimerAPI.storage.addEntry({ id: 'local', description: 'Local only', start: '2026-01-05T09:00:00.000Z',
+        stop: '2026-01-05T10:00:00.000Z', duration: 3600, synced: false, type: 'work', project_name: '', tags: [] });
+      await ExternalTimerAPI.storage.whenSaved();
+      localStorage.setItem('togglEmail', 'other@example.com');
+    });
+    
+    // Restore the backup from the settings modal, the app is reloaded with the restored data
+    async function restoreBackup(mode) {
+      await page.click('#settings');
+      await page.waitForSelector('#settings-modal:not(.hidden)');
+      await page.setInputFiles('#backup-file', backupPath);
+      await page.waitForSelector('#restore-options:not(.hidden)');
+      
+      // Replacing asks for confirmation
+      if (mode === 'replace') {
+        page.once('dialog', dialog => dialog.accept());
+      }
+      await Promise.all([page.waitForEvent('load'), page.click(`#restore-${mode}`)]);
+      await page.waitForFunction(() => ExternalTimerAPI.storage && ExternalTimerAPI.storage.database);
+    }
+    
+    // Merging adds the missing entry and keeps the local entry and settings
+    await restoreBackup('merge');
+    let ids = (await getStoredEntries()).map(entry => entry.id).sort();
+    assert.deepStrictEqual(ids, [...backup.entries.map(entry => entry.id), 'local'].sort(),
+      'Merging should add the entries that are not stored yet');
+    assert.strictEqual(await page.evaluate(() => localStorage.getItem('togglEmail')), 'other@example.com',
+      'Merging should keep the settings');
+    
+    // Replacing restores exactly the backed up entries and settings
+    await restoreBackup('replace');
+    ids = (await getStoredEntries()).map(entry => entry.id).sort();
+    assert.deepStrictEqual(ids, backup.entries.map(entry => entry.id).sort(),
+      'Replacing should restore exactly the backed up entries');
+    assert.strictEqual(await page.evaluate(() => localStorage.getItem('togglEmail')), 'backup@example.com',
+      'Replacing should restore the settings');
+    
+    // Files that aren't backups are rejected
+    const invalidPath = path.join(downloadsDir, 'invalid-backup.json');
+    fs.writeFileSync(invalidPath, JSON.stringify({ entries: [] }));
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    const dialogPromise = page.waitForEvent('dialog');
+    await page.setInputFiles('#backup-file', invalidPath);
+    const dialog = await dialogPromise;
+    assert.strictEqual(dialog.message(), 'The file is not a backup of this app', 'An invalid file should be rejected');
+    await dialog.accept();
+  });
+  
+  it('should import a Toggl CSV file after previewing the new entries', async function() {
+    await createSampleTimeEntries(1);
+    
+    // Export the stored entry, then add rows in the detailed export format of Toggl
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    const downloadPromise = page.waitForEvent('download');
+    await clickExport('#toggl-export-btn');
+    const download = await downloadPromise;
+    const exportPath = path.join(downloadsDir, download.suggestedFilename());
+    await download.saveAs(exportPath);
+    const csvContent = fs.readFileSync(exportPath, 'utf8');
+    const togglPath = path.join(downloadsDir, 'toggl-import.csv');
+    fs.writeFileSync(togglPath, [
+      'User,Email,Client,Project,Task,Description,Billable,Start date,Start time,End date,End time,Duration,Tags',
+      'Me,me@example.com,,Writing,,"Docs, ""part 2""",No,2026-01-05,09:00:00,2026-01-05,10:30:00,01:30:00,"review, manual"',
+      'Me,me@example.com,,Writing,,Broken,No,2026-02-30,09:00:00,2026-02-30,10:00:00,01:00:00,'
+    ].join('\r\n') + '\r\n' + csvContent.trim().split(/\r?\n/)[1]);
+    
+    await page.setInputFiles('#import-file', togglPath);
+    await page.waitForSelector('#import-preview:not(.hidden)');
+    const summary = await page.textContent('#import-summary');
+    assert.strictEqual(summary, '1 new entry, 1 already stored, 1 row skipped',
+      'The preview should leave out duplicates and report invalid rows');
+    assert.strictEqual(await getStoredEntries().then(entries => entries.length), 1, 'Nothing should be imported before confirming');
+    
+    await page.click('#import-confirm');
+    await page.waitForSelector('#import-preview.hidden', { state: 'attached' });
+    await page.evaluate(() => ExternalTimerAPI.storage.whenSaved());
+    
+    const entries = await getStoredEntries();
+    assert.strictEqual(entries.length, 2, 'The new entry should be imported');
+    const imported = entries.find(entry => entry.description === 'Docs, "part 2"');
+    assert.ok(imported, 'Quoted fields should keep their commas and quotes');
+    assert.strictEqual(imported.project_name, 'Writing');
+    assert.deepStrictEqual(imported.tags, ['review']);
+    assert.strictEqual(imported.manual, true, 'The manual tag should mark the entry as added by hand');
+    assert.strictEqual(imported.duration, 5400);
+    assert.strictEqual(new Date(imported.start).getTime(), new Date(2026, 0, 5, 9, 0, 0).getTime(),
+      'Times should be read in the local time zone');
+  });
+  
+  it('should export time entries as calendar events with stable UIDs', async function() {
+    await createSampleTimeEntries(2);
+    await page.evaluate(async () => {
+      ExternalTimerAPI.storage.addEntry({ id: 'meeting', description: 'Plan, review; ship', start: '2026-01-05T09:00:00.000Z',
+        stop: '2026-01-05T10:30:00.000Z', duration: 5400, synced: false, type: 'work', project_name: 'Acme', tags: [] });
+      await ExternalTimerAPI.storage.whenSaved();
+    });
+    
+    // Export the events from the entries modal and return the ICS content
+    async function exportEvents() {
+      const downloadPromise = page.waitForEvent('download');
+      await clickExport('#export-entries-ics');
+      const download = await downloadPromise;
+      assert.ok(download.suggestedFilename().endsWith('.ics'), 'The export should be an iCalendar file');
+      const downloadPath = path.join(downloadsDir, download.suggestedFilename());
+      await download.saveAs(downloadPath);
+      return fs.readFileSync(downloadPath, 'utf8');
+    }
+    
+    await openEntriesModal();
+    const icsContent = await exportEvents();
+    assert.ok(icsContent.startsWith('BEGIN:VCALENDAR\r\n'), 'Lines should end with CRLF');
+    assert.strictEqual(icsContent.match(/BEGIN:VEVENT/g).length, 3, 'There should be one event per entry');
+    
+    const event = icsContent.split('BEGIN:VEVENT').find(part => part.includes('UID:meeting@'));
+    assert.ok(event, 'The UID should be made from the entry id');
+    assert.ok(event.includes('SUMMARY:Plan\\, review\\; ship\r\n'), 'The summary should be the escaped description');
+    assert.ok(event.includes('CATEGORIES:Acme\r\n'), 'The project should be the category');
+    assert.ok(event.includes('DTSTART:20260105T090000Z\r\n') && event.includes('DTEND:20260105T103000Z\r\n'),
+      'Start and end should be in UTC');
+    
+    // Exporting again gives the same UIDs, so calendars update the events instead of duplicating them
+    const uids = content => content.match(/^UID:.*(?=\r$)/gm).sort();
+    assert.deepStrictEqual(uids(await exportEvents()), uids(icsContent), 'UIDs should be stable');
+  });
+  
+  it('should export only the entries of the chosen period and project', async function() {
+    // Entries of this week, of last week and of another project
+    await page.evaluate(async () => {
+      const startOfToday = new Date();
+      startOfToday.setHours(9, 0, 0, 0);
+      const daysAgo = days => new Date(startOfToday.getTime() - days * 24 * 60 * 60 * 1000);
+      [['today', 0, 'Acme'], ['old', 30, 'Acme'], ['other', 0, 'Other']].forEach(([id, days, project]) => {
+        const start = daysAgo(days);
+        ExternalTimerAPI.storage.addEntry({ id: id, description: `Entry ${id}`, start: start.toISOString(),
+          stop: new Date(start.getTime() + 3600 * 1000).toISOString(), duration: 3600, synced: false, type: 'work',
+          project_name: project, tags: [] });
+      });
+      await ExternalTimerAPI.storage.whenSaved();
+    });
+    
+    await openEntriesModal();
+    await page.click('#export-entries');
+    await page.waitForSelector('#export-modal:not(.hidden)');
+    assert.strictEqual(await page.textContent('#export-count'), '3 entries to export', 'All entries should be exported by default');
+    
+    await page.selectOption('#export-period', 'today');
+    await page.selectOption('#export-project', { label: 'Acme' });
+    assert.strictEqual(await page.textContent('#export-count'), '1 entry to export', 'The count should follow the filters');
+    
+    const downloadPromise = page.waitForEvent('download');
+    await page.click('#confirm-export');
+    const download = await downloadPromise;
+    const downloadPath = path.join(downloadsDir, download.suggestedFilename());
+    await download.saveAs(downloadPath);
+    const rows = fs.readFileSync(downloadPath, 'utf8').trim().split(/\r?\n/).slice(1);
+    assert.strictEqual(rows.length, 1, 'Only the entry of today and of the project should be exported');
+    assert.ok(rows[0].startsWith('"Entry today"'), `Unexpected row: ${rows[0]}`);
+    
+    // A custom range whose last day is before its first day can't be exported
+    await page.click('#export-entries');
+    await page.selectOption('#export-period', 'custom');
+    await page.fill('#export-from', '2026-02-10');
+    await page.fill('#export-to', '2026-02-01');
+    assert.ok(await page.isDisabled('#confirm-export'), 'An invalid range should not be exported');
+  });
+  
+  it('should export only new entries and export a past batch again', async function() {
+    await createSampleTimeEntries(2);
+    
+    // Export the entries chosen in the export modal and return the CSV rows
+    async function exportRows(period, batchLabel) {
+      await page.click('#export-entries');
+      await page.waitForSelector('#export-modal:not(.hidden)');
+      await page.selectOption('#export-period', period);
+      if (batchLabel) {
+        await page.selectOption('#export-batch', { label: batchLabel });
+      }
+      const downloadPromise = page.waitForEvent('download');
+      await page.click('#confirm-export');
+      const download = await downloadPromise;
+      const downloadPath = path.join(downloadsDir, download.suggestedFilename());
+      await download.saveAs(downloadPath);
+      return fs.readFileSync(downloadPath, 'utf8').trim().split(/\r?\n/).slice(1);
+    }
+    
+    await openEntriesModal();
+    let statuses = await page.$$eval('.entry-export-status', items => items.map(item => item.textContent));
+    assert.deepStrictEqual(statuses, ['Not exported yet', 'Not exported yet'], 'New entries should not be exported yet');
+    
+    assert.strictEqual((await exportRows('new')).length, 2, 'All new entries should be exported');
+    statuses = await page.$$eval('.entry-export-status', items => items.map(item => item.textContent));
+    assert.ok(statuses.every(status => status.startsWith('Exported')), `Entries should be marked as exported, got: ${statuses}`);
+    
+    const entries = await getStoredEntries();
+    assert.ok(entries.every(entry => entry.synced && entry.export_batch === entries[0].export_batch && entry.exported_at),
+      'Exported entries should be stored with their batch and time');
+    
+    // Only the entries recorded since are new
+    await closeEntriesModal();
+    await createSampleTimeEntries(1);
+    await openEntriesModal();
+    await page.click('#export-entries');
+    await page.selectOption('#export-period', 'new');
+    assert.strictEqual(await page.textContent('#export-count'), '1 entry to export', 'Exported entries should be left out');
+    await page.click('#close-export');
+    assert.strictEqual((await exportRows('new')).length, 1, 'Only the new entry should be exported');
+    
+    // The first batch can be exported again, it keeps its entries
+    const batchLabels = await page.$$eval('#export-batch option', options => options.map(option => option.textContent));
+    assert.strictEqual(batchLabels.length, 2, 'Both exports should be listed');
+    assert.ok(batchLabels[1].endsWith('(2 entries)'), `The first batch should be listed last, got: ${batchLabels}`);
+    assert.strictEqual((await exportRows('batch', batchLabels[1])).length, 2, 'The past batch should be exported again');
+    assert.strictEqual((await getStoredEntries()).filter(entry => entry.export_batch === entries[0].export_batch).length, 2,
+      'Exporting a batch again should not change it');
+  });
+  
+  it('should keep new entries exported to a calendar for the next CSV export', async function() {
+    await createSampleTimeEntries(2);
+    await openEntriesModal();
+    
+    // Export the new entries in a format and return the downloaded content
+    async function exportNewEntries(buttonSelector) {
+      await page.click(buttonSelector);
+      await page.waitForSelector('#export-modal:not(.hidden)');
+      await page.selectOption('#export-period', 'new');
+      const downloadPromise = page.waitForEvent('download');
+      await page.click('#confirm-export');
+      const download = await downloadPromise;
+      const downloadPath = path.join(downloadsDir, download.suggestedFilename());
+      await download.saveAs(downloadPath);
+      return fs.readFileSync(downloadPath, 'utf8');
+    }
+    
+    const icsContent = await exportNewEntries('#export-entries-ics');
+    assert.strictEqual(icsContent.match(/BEGIN:VEVENT/g).length, 2, 'The calendar should get the new entries');
+    assert.ok((await getStoredEntries()).every(entry => !entry.synced), 'A calendar export should not mark the entries');
+    
+    const csvRows = (await exportNewEntries('#export-entries')).trim().split(/\r?\n/).slice(1);
+    assert.strictEqual(csvRows.length, 2, 'The CSV export should still contain the entries exported to the calendar');
+    assert.ok((await getStoredEntries()).every(entry => entry.synced), 'The CSV export should mark the entries');
+  });
+  
+  it('should find the fragments of a paused session exported as separate rows when importing', async function() {
+    await page.evaluate(async () => {
+      ExternalTimerAPI.storage.addEntry({ id: 'paused', description: 'Paused session', start: '2026-01-05T09:00:00.000Z',
+        stop: '2026-01-05T11:00:00.000Z', pauses: [{ start: '2026-01-05T10:00:00.000Z', stop: '2026-01-05T10:30:00.000Z' }],
+        duration: 5400, synced: false, type: 'work', project_name: '', tags: [] });
+      await ExternalTimerAPI.storage.whenSaved();
+    });
+    
+    // Paused sessions are exported as a row per fragment by default
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    const downloadPromise = page.waitForEvent('download');
+    await clickExport('#toggl-export-btn');
+    const download = await downloadPromise;
+    const exportPath = path.join(downloadsDir, download.suggestedFilename());
+    await download.saveAs(exportPath);
+    assert.strictEqual(fs.readFileSync(exportPath, 'utf8').trim().split(/\r?\n/).length, 3, 'Both fragments should be exported');
+    
+    await page.setInputFiles('#import-file', exportPath);
+    await page.waitForSelector('#import-preview:not(.hidden)');
+    assert.strictEqual(await page.textContent('#import-summary'), '0 new entries, 2 already stored',
+      'The fragments should be found in the stored session');
+    assert.ok(await page.isDisabled('#import-confirm'), 'There should be nothing to import');
+  });
+});
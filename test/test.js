@@ -32,6 +32,46 @@ describe('Work-Rest Timer Visual Tests', function() {
     });
   }
   
+  /**
+   * Reads the time entries saved by the app, once its pending changes are saved
+   * @returns {Promise<Array>} Array of the stored time entry objects, oldest first
+   */
+  async function getStoredEntries() {
+    return await page.evaluate(async () => {
+      await ExternalTimerAPI.storage.whenSaved();
+      return ExternalTimerAPI.storage.database.getEntries();
+    });
+  }
+  
+  /**
+   * Deletes the database of the time entries, the app closes its connection to let it be deleted
+   */
+  async function deleteEntriesDatabase() {
+    await page.evaluate(() => new Promise(resolve => {
+      const request = indexedDB.deleteDatabase('workRestTimer');
+      request.onsuccess = request.onerror = request.onblocked = resolve;
+    }));
+  }
+  
+  /**
+   * Reads the running time entry saved by the app, once its pending changes are saved
+   * @returns {Promise<Object|null>} The stored running time entry
+   */
+  async function getStoredCurrentEntry() {
+    return await page.evaluate(async () => {
+      await ExternalTimerAPI.storage.whenSaved();
+      return ExternalTimerAPI.storage.database.getCurrentEntry();
+    });
+  }
+  
+  /**
+   * Reloads the page and waits until the app has loaded the time entries
+   */
+  async function reloadApp() {
+    await page.reload();
+    await page.waitForFunction(() => ExternalTimerAPI.storage && ExternalTimerAPI.storage.database);
+  }
+  
   /**
    * Opens the entries modal
    */
@@ -130,6 +170,67 @@ describe('Work-Rest Timer Visual Tests', function() {
     return entries;
   }
   
+  /**
+   * Test double for the Notification API, run in the page before its scripts.
+   * The permission is granted when requested, and the notifications shown by the page
+   * or by the service worker registration are recorded in window.shownNotifications
+   */
+  function installNotificationDouble() {
+    window.shownNotifications = [];
+    
+    class FakeNotification {
+      constructor(title, options = {}) {
+        window.shownNotifications.push({ title, ...options });
+      }
+      
+      close() {}
+    }
+    FakeNotification.permission = 'default';
+    FakeNotification.requestPermission = async () => {
+      FakeNotification.permission = 'granted';
+      return FakeNotification.permission;
+    };
+    window.Notification = FakeNotification;
+    
+    if (window.ServiceWorkerRegistration) {
+      ServiceWorkerRegistration.prototype.showNotification = async function(title, options = {}) {
+        window.shownNotifications.push({ title, ...options });
+      };
+    }
+  }
+  
+  /**
+   * Sets the duration of a timer with the inline editor
+   * @param {string} timerId - Id of the timer element
+   * @param {string} duration - Duration to type, e.g. 25m or 00:25:00
+   */
+  async function editTimerDuration(timerId, duration) {
+    await page.click(`#edit-${timerId}`);
+    await page.fill(`#duration-input-${timerId}`, duration);
+    await page.press(`#duration-input-${timerId}`, 'Enter');
+    await page.waitForSelector(`#${timerId} .duration-editor.hidden`, { state: 'attached' });
+  }
+  
+  /**
+   * Sets the durations of the default work and rest phases and reloads the page
+   * @param {number} workSeconds - Duration of the work phase in seconds
+   * @param {number} restSeconds - Duration of the rest phase in seconds
+   */
+  async function setPhaseDurations(workSeconds, restSeconds = 30 * 60) {
+    await page.evaluate(([work, rest]) => {
+      // Replace the phases of the active profile
+      const profiles = JSON.parse(localStorage.getItem('timerProfiles'));
+      const activeProfile = profiles.find(profile => profile.id === localStorage.getItem('activeProfile'));
+      activeProfile.phases = [
+        { id: 'player1', label: 'Work', duration: work, type: 'work', tracking: true },
+        { id: 'player2', label: 'Rest', duration: rest, type: 'rest', tracking: false }
+      ];
+      localStorage.setItem('timerProfiles', JSON.stringify(profiles));
+      window.location.reload();
+    }, [workSeconds, restSeconds]);
+    await page.waitForLoadState('networkidle');
+  }
+  
   // Start a local server before tests
   before(async function() {
     // Start a static file server
@@ -162,6 +263,9 @@ describe('Work-Rest Timer Visual Tests', function() {
     
     // Use console.log from the page in the terminal
     page.on('console', msg => console.log(`PAGE LOG: ${msg.text()}`));
+    
+    // Replace the Notification API with a test double
+    await page.addInitScript(installNotificationDouble);
   });
   
   // Before each test
@@ -171,8 +275,32 @@ describe('Work-Rest Timer Visual Tests', function() {
     console.log('Loaded the application');
     
     // Clear any existing time entries
+    await deleteEntriesDatabase();
     await page.evaluate(() => {
       localStorage.removeItem('timeEntries');
+      localStorage.removeItem('currentTimeEntry');
+      localStorage.removeItem('storageVersion');
+      localStorage.removeItem('togglProjectName');
+      localStorage.removeItem('timerState');
+      localStorage.removeItem('autoStartRest');
+      localStorage.removeItem('autoStartWork');
+      localStorage.removeItem('autoCycles');
+      localStorage.removeItem('overtimeMode');
+      localStorage.removeItem('timerPhases');
+      localStorage.removeItem('timerProfiles');
+      localStorage.removeItem('activeProfile');
+      localStorage.removeItem('defaultProfile');
+      localStorage.removeItem('alarmVolume');
+      localStorage.removeItem('alarmRepeat');
+      localStorage.removeItem('alarmUntilAcknowledged');
+      localStorage.removeItem('notificationsEnabled');
+      localStorage.removeItem('keyboardShortcuts');
+      localStorage.removeItem('pausedSessions');
+      localStorage.removeItem('projects');
+      localStorage.removeItem('tags');
+      localStorage.removeItem('currentProject');
+      localStorage.removeItem('currentTags');
+      localStorage.removeItem('currentTask');
       // Optionally reload to make sure the app picks up the changes
       window.location.reload();
     });
@@ -519,18 +647,9 @@ describe('Work-Rest Timer Visual Tests', function() {
     const initialWorkTime = await page.textContent('#player1 .time');
     console.log(`Initial work timer value: ${initialWorkTime}`);
     
-    // Handle the prompt dialog to set a new time - use 12 minutes
-    page.on('dialog', async dialog => {
-      console.log(`Dialog message: ${dialog.message()}`);
-      await dialog.accept('00:12:00');
-    });
-
-    // Click edit button for work timer
-    await page.click('#edit-player1');
-    console.log('Clicked edit button for work timer');
-    
-    // Wait for the edit operation to complete
-    await page.waitForTimeout(500);
+    // Set a new time in the inline editor - use 12 minutes
+    await editTimerDuration('player1', '12m');
+    console.log('Edited work timer');
     
     // Get the updated time
     const updatedWorkTime = await page.textContent('#player1 .time');
@@ -585,21 +704,9 @@ describe('Work-Rest Timer Visual Tests', function() {
     // Take a screenshot of the paused state
     await page.screenshot({ path: path.join(screenshotsDir, 'edit-timer-02b-paused.png') });
     
-    // Remove previous dialog handler
-    page.removeAllListeners('dialog');
-
-    // Handle the second prompt dialog - set to 5 minutes
-    page.on('dialog', async dialog => {
-      console.log(`Second dialog message: ${dialog.message()}`);
-      await dialog.accept('00:05:00');
-    });
-    
-    // Click edit button again while timer is paused
-    await page.click('#edit-player1');
-    console.log('Clicked edit button for work timer while paused');
-    
-    // Wait for the edit operation to complete
-    await page.waitForTimeout(500);
+    // Edit again while timer is paused - set to 5 minutes
+    await editTimerDuration('player1', '00:05:00');
+    console.log('Edited work timer while paused');
     
     // Get the updated time after second edit
     const timeAfterSecondEdit = await page.textContent('#player1 .time');
@@ -648,18 +755,9 @@ describe('Work-Rest Timer Visual Tests', function() {
     // Check that there are no entries at the start of the test
     await assertNoTimeEntries();
     
-    // Handle the prompt dialog to set a new time - use 8 minutes
-    page.on('dialog', async dialog => {
-      console.log(`Dialog message: ${dialog.message()}`);
-      await dialog.accept('00:08:00');
-    });
-
-    // Click edit button for work timer
-    await page.click('#edit-player1');
-    console.log('Clicked edit button for work timer');
-    
-    // Wait for the edit operation to complete
-    await page.waitForTimeout(500);
+    // Set a new time in the inline editor - use 8 minutes
+    await editTimerDuration('player1', '8');
+    console.log('Edited work timer');
     
     // Get the updated time
     const editedTime = await page.textContent('#player1 .time');
@@ -732,4 +830,909 @@ describe('Work-Rest Timer Visual Tests', function() {
     
     console.log('Edit and reset test completed successfully!');
   });
-});
\ No newline at end of file
+  
+  // Test that a running timer survives a page reload
+  it('Should restore the running timer after a page reload', async function() {
+    // Start the work timer
+    await page.click('#player1');
+    console.log('Started work timer');
+    
+    // Let the timer run for a while
+    await page.waitForTimeout(1200);
+    const timeBeforeReload = await page.textContent('#player1 .time');
+    console.log(`Work timer value before reload: ${timeBeforeReload}`);
+    
+    // Reload the page
+    await reloadApp();
+    await page.waitForLoadState('networkidle');
+    console.log('Reloaded the page');
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'restore-01-after-reload.png') });
+    
+    // The work timer should still be current and running
+    const isWorkTimerActive = await page.evaluate(() => {
+      return document.getElementById('player1').classList.contains('current');
+    });
+    assert.ok(isWorkTimerActive, 'Work timer should still be active after reload');
+    
+    const buttonState = await checkControlButtonsVisibility();
+    assert.ok(buttonState.isControlsVisible, 'Controls should be visible after reload');
+    assert.ok(buttonState.isPauseButtonVisible, 'Pause button should be visible after reload');
+    
+    const isRunning = await page.evaluate(() => {
+      const pauseIcon = document.querySelector('#pause .pause-icon');
+      return pauseIcon && !pauseIcon.classList.contains('hidden');
+    });
+    assert.ok(isRunning, 'Timer should still be running after reload');
+    
+    // The timer should keep counting down from where it was
+    await page.waitForTimeout(1200);
+    const timeAfterReload = await page.textContent('#player1 .time');
+    console.log(`Work timer value after reload: ${timeAfterReload}`);
+    assert.notStrictEqual(timeAfterReload, timeBeforeReload, 'Work timer should continue decreasing after reload');
+    
+    // Pausing should record a single entry for the whole session
+    await page.click('#pause');
+    const timeEntries = await getTimeEntries();
+    assert.strictEqual(timeEntries.length, 1, 'There should be exactly one time entry for the restored session');
+    
+    console.log('Restore timer test completed successfully!');
+  });
+  
+  // Test that the timeout fires even when animation frames are suspended, like in a background tab
+  it('Should time out at the phase end even when animation frames are suspended', async function() {
+    // Set the work timer to 2 seconds
+    await editTimerDuration('player1', '2s');
+    
+    // Simulate a hidden tab where animation frames never run
+    await page.evaluate(() => {
+      window.requestAnimationFrame = () => 0;
+    });
+    
+    // Start the work timer and wait past its end
+    await page.click('#player1');
+    await page.waitForTimeout(3000);
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'background-timeout-01-after-timeout.png') });
+    
+    // The timer should have stopped at zero
+    const workTime = await page.textContent('#player1 .time');
+    assert.strictEqual(workTime, '00:00', 'Work timer should show 00:00 after the timeout');
+    
+    const isPaused = await page.evaluate(() => {
+      const playIcon = document.querySelector('#pause .play-icon');
+      return playIcon && !playIcon.classList.contains('hidden');
+    });
+    assert.ok(isPaused, 'Timer should be stopped after the timeout');
+    
+    // The work entry should be closed at the phase end
+    const timeEntries = await getTimeEntries();
+    assert.strictEqual(timeEntries.length, 1, 'There should be exactly one time entry after the timeout');
+    assert.match(timeEntries[0].duration, /^Duration: [12]s$/, 'The entry should end at the phase end, not when the page noticed it');
+    
+    console.log('Background timeout test completed successfully!');
+  });
+  
+  // Test that the rest timer starts automatically when the work timer ends
+  it('Should start the rest timer automatically when work ends', async function() {
+    // Set both timers to 2 seconds
+    await setPhaseDurations(2, 2);
+    
+    // Enable auto-advance for one cycle
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    await page.check('#auto-start-rest');
+    await page.check('#auto-start-work');
+    await page.fill('#auto-cycles', '1');
+    await page.click('#save-settings');
+    await page.waitForSelector('#settings-modal.hidden');
+    console.log('Enabled auto-advance for one cycle');
+    
+    // Start the work timer and wait until it ends
+    await page.click('#player1');
+    await page.waitForTimeout(2500);
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'auto-advance-01-rest-started.png') });
+    
+    // The rest timer should now be current and running
+    const isRestTimerActive = await page.evaluate(() => {
+      return document.getElementById('player2').classList.contains('current');
+    });
+    assert.ok(isRestTimerActive, 'Rest timer should be active after the work timer ends');
+    
+    const isRunning = await page.evaluate(() => {
+      const pauseIcon = document.querySelector('#pause .pause-icon');
+      return pauseIcon && !pauseIcon.classList.contains('hidden');
+    });
+    assert.ok(isRunning, 'Rest timer should be running after the work timer ends');
+    
+    // After the rest ends the single cycle is over and the timer stops
+    await page.waitForTimeout(2000);
+    
+    const isStopped = await page.evaluate(() => {
+      const playIcon = document.querySelector('#pause .play-icon');
+      return playIcon && !playIcon.classList.contains('hidden');
+    });
+    assert.ok(isStopped, 'Timer should stop after the configured number of cycles');
+    
+    // Only the work phase is tracked
+    const timeEntries = await getTimeEntries();
+    assert.strictEqual(timeEntries.length, 1, 'There should be exactly one work time entry');
+    
+    console.log('Auto-advance test completed successfully!');
+  });
+  
+  // Test that the timer keeps counting past zero in overtime mode
+  it('Should keep counting and recording past zero in overtime mode', async function() {
+    // Set the work timer to 1 second and enable overtime mode
+    await page.evaluate(() => localStorage.setItem('overtimeMode', 'true'));
+    await setPhaseDurations(1);
+    
+    // Start the work timer and let it run past zero
+    await page.click('#player1');
+    await page.waitForTimeout(2500);
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'overtime-01-counting.png') });
+    
+    // The timer should show the overtime with a plus sign and a distinct style
+    const workTime = await page.textContent('#player1 .time');
+    assert.match(workTime, /^\+\d\d:\d\d$/, `Work timer should show overtime as +MM:SS, got ${workTime}`);
+    
+    const isOvertime = await page.evaluate(() => {
+      return document.getElementById('player1').classList.contains('overtime');
+    });
+    assert.ok(isOvertime, 'Work timer should have the overtime style');
+    
+    // The timer should still be running
+    const isRunning = await page.evaluate(() => {
+      const pauseIcon = document.querySelector('#pause .pause-icon');
+      return pauseIcon && !pauseIcon.classList.contains('hidden');
+    });
+    assert.ok(isRunning, 'Timer should keep running in overtime');
+    
+    // Pausing stops the entry and stores the overtime on it
+    await page.click('#pause');
+    
+    await openEntriesModal();
+    const overtimeText = await page.textContent('.entry-overtime');
+    assert.match(overtimeText, /^Overtime: \d+s$/, `Entry should show the overtime, got ${overtimeText}`);
+    await closeEntriesModal();
+    
+    console.log('Overtime test completed successfully!');
+  });
+  
+  // Test that a Pomodoro sequence can be configured and is rendered as timers
+  it('Should render a configured Pomodoro sequence of phases', async function() {
+    // Load the Pomodoro preset in the settings
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    
+    const initialPhaseCount = await page.evaluate(() => document.querySelectorAll('.phase-row').length);
+    assert.strictEqual(initialPhaseCount, 2, 'The default sequence should have a work and a rest phase');
+    
+    await page.click('#pomodoro-phases');
+    await page.click('#save-settings');
+    await page.waitForSelector('#settings-modal.hidden');
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'phases-01-pomodoro.png') });
+    
+    // A timer should be rendered for each phase in order
+    const timers = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('.timer')).map(timer => ({
+        label: timer.querySelector('.timer-label').textContent,
+        time: timer.querySelector('.time').textContent
+      }));
+    });
+    console.log('Rendered timers:', timers);
+    
+    assert.strictEqual(timers.length, 8, 'There should be a timer for each of the 8 Pomodoro phases');
+    assert.deepStrictEqual(timers[0], { label: 'Work 1', time: '25:00' }, 'The first phase should be a 25 minute work phase');
+    assert.deepStrictEqual(timers[1], { label: 'Rest 1', time: '05:00' }, 'The second phase should be a 5 minute rest phase');
+    assert.deepStrictEqual(timers[7], { label: 'Long break', time: '15:00' }, 'The last phase should be a 15 minute long break');
+    
+    // The phases should survive a reload
+    await reloadApp();
+    await page.waitForLoadState('networkidle');
+    const timerCount = await page.evaluate(() => document.querySelectorAll('.timer').length);
+    assert.strictEqual(timerCount, 8, 'The sequence should be restored after a reload');
+    
+    // Starting the first work phase should record a work entry
+    await page.locator('.timer').first().click();
+    await page.waitForTimeout(1200);
+    await page.click('#pause');
+    
+    const timeEntries = await getTimeEntries();
+    assert.strictEqual(timeEntries.length, 1, 'There should be exactly one time entry for the work phase');
+    
+    console.log('Phases test completed successfully!');
+  });
+  
+  // Test that the alarm rings when a phase ends until it is stopped
+  it('Should ring the alarm when a phase ends until it is acknowledged', async function() {
+    // Ring until acknowledged with a 1 second work phase
+    await page.evaluate(() => localStorage.setItem('alarmUntilAcknowledged', 'true'));
+    await setPhaseDurations(1);
+    
+    // The banner to stop the alarm should be hidden initially
+    let isBannerHidden = await page.evaluate(() => {
+      return document.getElementById('alarm-banner').classList.contains('hidden');
+    });
+    assert.ok(isBannerHidden, 'Alarm banner should be hidden before the phase ends');
+    
+    // Start the work timer and let it end
+    await page.click('#player1');
+    await page.waitForSelector('#alarm-banner:not(.hidden)', { timeout: 3000 });
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'alarm-01-ringing.png') });
+    
+    // The alarm should keep ringing until it is stopped
+    await page.waitForTimeout(2500);
+    isBannerHidden = await page.evaluate(() => {
+      return document.getElementById('alarm-banner').classList.contains('hidden');
+    });
+    assert.ok(!isBannerHidden, 'Alarm should keep ringing until it is acknowledged');
+    
+    await page.click('#stop-alarm');
+    isBannerHidden = await page.evaluate(() => {
+      return document.getElementById('alarm-banner').classList.contains('hidden');
+    });
+    assert.ok(isBannerHidden, 'Alarm banner should be hidden after stopping the alarm');
+    
+    console.log('Alarm test completed successfully!');
+  });
+  
+  // Test that a notification is shown when a phase ends and its action starts the next phase
+  it('Should show a notification when a phase ends and start the next phase from it', async function() {
+    await setPhaseDurations(1);
+    
+    // Enable notifications in the settings, which asks for the permission
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    
+    const permissionText = await page.textContent('#notification-permission');
+    assert.match(permissionText, /ask for permission/, 'Settings should explain that the permission will be requested');
+    
+    await page.check('#notifications-enabled');
+    await page.waitForFunction(() => Notification.permission === 'granted');
+    
+    const isEnabled = await page.isChecked('#notifications-enabled');
+    assert.ok(isEnabled, 'Notifications should stay enabled once the permission is granted');
+    
+    await page.click('#save-settings');
+    await page.waitForSelector('#settings-modal.hidden');
+    
+    // Notifications with actions are shown through the service worker
+    await page.evaluate(() => navigator.serviceWorker.ready);
+    
+    // Start the work timer and let it end
+    await page.click('#player1');
+    await page.waitForFunction(() => window.shownNotifications.length > 0, null, { timeout: 3000 });
+    
+    const notifications = await page.evaluate(() => window.shownNotifications);
+    console.log('Shown notifications:', notifications);
+    
+    assert.strictEqual(notifications.length, 1, 'There should be exactly one notification');
+    assert.strictEqual(notifications[0].title, 'Work finished', 'Notification should tell which phase ended');
+    assert.deepStrictEqual(notifications[0].actions.map(action => action.title), ['Start rest', 'Dismiss'],
+      'Notification should offer to start the rest phase');
+    
+    // Clicking the action makes the service worker post a message to the page
+    await page.evaluate((phaseId) => {
+      navigator.serviceWorker.dispatchEvent(new MessageEvent('message', {
+        data: { type: 'start-phase', phaseId: phaseId }
+      }));
+    }, notifications[0].data.phaseId);
+    
+    const isRestRunning = await page.evaluate(() => {
+      const pauseIcon = document.querySelector('#pause .pause-icon');
+      return document.getElementById('player2').classList.contains('current') &&
+        pauseIcon && !pauseIcon.classList.contains('hidden');
+    });
+    assert.ok(isRestRunning, 'The rest timer should be running after clicking the action');
+    
+    console.log('Notification test completed successfully!');
+  });
+  
+  // Test that the timer can be controlled with the keyboard
+  it('Should control the timer with keyboard shortcuts', async function() {
+    /**
+     * @returns {Promise<Object>} Object with the id of the current timer and whether it is running
+     */
+    async function getTimerState() {
+      return await page.evaluate(() => {
+        const current = document.querySelector('.timer.current');
+        const pauseIcon = document.querySelector('#pause .pause-icon');
+        return {
+          currentId: current ? current.id : null,
+          isRunning: !pauseIcon.classList.contains('hidden')
+        };
+      });
+    }
+    
+    // W and R switch between the work and rest timers
+    await page.keyboard.press('w');
+    assert.deepStrictEqual(await getTimerState(), { currentId: 'player1', isRunning: true }, 'W should start the work timer');
+    
+    await page.keyboard.press('r');
+    assert.deepStrictEqual(await getTimerState(), { currentId: 'player2', isRunning: true }, 'R should switch to the rest timer');
+    
+    // Space pauses and resumes
+    await page.keyboard.press('Space');
+    assert.deepStrictEqual(await getTimerState(), { currentId: 'player2', isRunning: false }, 'Space should pause the timer');
+    
+    await page.keyboard.press('Space');
+    assert.deepStrictEqual(await getTimerState(), { currentId: 'player2', isRunning: true }, 'Space should resume the timer');
+    
+    // Escape resets
+    await page.keyboard.press('Escape');
+    assert.deepStrictEqual(await getTimerState(), { currentId: null, isRunning: false }, 'Escape should reset the timer');
+    
+    // ? lists the shortcuts
+    await page.keyboard.press('?');
+    await page.waitForSelector('#shortcuts-modal:not(.hidden)');
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'shortcuts-01-overlay.png') });
+    
+    const shortcutCount = await page.evaluate(() => document.querySelectorAll('#shortcuts-list .shortcut-row').length);
+    assert.strictEqual(shortcutCount, 8, 'The overlay should list all shortcuts');
+    
+    // Shortcuts don't control the timer while a modal is open, Escape closes it
+    await page.keyboard.press('w');
+    assert.deepStrictEqual(await getTimerState(), { currentId: null, isRunning: false }, 'Shortcuts should be ignored while a modal is open');
+    
+    await page.keyboard.press('Escape');
+    await page.waitForSelector('#shortcuts-modal.hidden');
+    
+    // Remap the work shortcut in the settings
+    await page.keyboard.press('s');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    await page.click('.shortcut-key[data-action="work"]');
+    await page.keyboard.press('k');
+    
+    const workKey = await page.textContent('.shortcut-key[data-action="work"]');
+    assert.strictEqual(workKey, 'K', 'The work shortcut should be remapped to K');
+    
+    await page.click('#save-settings');
+    await page.waitForSelector('#settings-modal.hidden');
+    
+    await page.keyboard.press('w');
+    assert.deepStrictEqual(await getTimerState(), { currentId: null, isRunning: false }, 'The old key should no longer start the work timer');
+    
+    await page.keyboard.press('k');
+    assert.deepStrictEqual(await getTimerState(), { currentId: 'player1', isRunning: true }, 'The new key should start the work timer');
+    
+    // Shortcuts are suppressed while typing
+    await page.evaluate(() => {
+      const input = document.createElement('input');
+      input.id = 'typing-test';
+      document.body.appendChild(input);
+    });
+    await page.focus('#typing-test');
+    await page.keyboard.press('r');
+    assert.deepStrictEqual(await getTimerState(), { currentId: 'player1', isRunning: true }, 'Shortcuts should be ignored while typing');
+    
+    await page.click('#pause');
+    
+    console.log('Keyboard shortcuts test completed successfully!');
+  });
+  
+  // Test that the inline duration editor understands natural input and validates it
+  it('Should parse natural durations and validate them inline', async function() {
+    const durations = {
+      '25': '25:00',
+      '25m': '25:00',
+      '90s': '01:30',
+      '1h30m': '01:30:00',
+      '1:30:00': '01:30:00',
+      '00:25': '00:25'
+    };
+    
+    for (const [input, expected] of Object.entries(durations)) {
+      await editTimerDuration('player2', input);
+      const time = await page.textContent('#player2 .time');
+      assert.strictEqual(time, expected, `${input} should be parsed as ${expected}`);
+    }
+    
+    // An invalid duration shows a message instead of a dialog and keeps the editor open
+    let dialogShown = false;
+    page.once('dialog', async dialog => {
+      dialogShown = true;
+      await dialog.dismiss();
+    });
+    
+    await page.click('#edit-player2');
+    await page.fill('#duration-input-player2', 'soon');
+    
+    const inputError = await page.textContent('#duration-error-player2');
+    assert.ok(inputError.length > 0, 'A validation message should be shown while typing');
+    
+    await page.press('#duration-input-player2', 'Enter');
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'duration-editor-01-invalid.png') });
+    
+    const isEditorVisible = await page.isVisible('#duration-input-player2');
+    assert.ok(isEditorVisible, 'The editor should stay open for an invalid duration');
+    assert.ok(!dialogShown, 'No dialog should be shown');
+    
+    // The steppers change the duration by a minute
+    await page.fill('#duration-input-player2', '10m');
+    await page.click('#player2 .duration-increase');
+    await page.click('#player2 .duration-increase');
+    await page.click('#player2 .duration-decrease');
+    
+    const steppedValue = await page.inputValue('#duration-input-player2');
+    assert.strictEqual(steppedValue, '00:11:00', 'The steppers should change the duration by a minute');
+    
+    await page.click('#player2 .duration-save');
+    assert.strictEqual(await page.textContent('#player2 .time'), '11:00', 'The stepped duration should be saved');
+    
+    // Editing must not start the timer
+    const isCurrent = await page.evaluate(() => document.getElementById('player2').classList.contains('current'));
+    assert.ok(!isCurrent, 'Editing should not start the timer');
+    
+    console.log('Duration editor test completed successfully!');
+  });
+  
+  // Test that named profiles can be created, selected, renamed and deleted
+  it('Should switch between named profiles with their own phases', async function() {
+    // With a single profile there is nothing to pick on the main screen
+    let isPickerVisible = await page.isVisible('#profile-select');
+    assert.ok(!isPickerVisible, 'The profile picker should be hidden with a single profile');
+    
+    // Create a Pomodoro profile with its own description
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    await page.click('#add-profile');
+    
+    const profileCount = await page.evaluate(() => document.querySelectorAll('.profile-row').length);
+    assert.strictEqual(profileCount, 2, 'There should be a row for the default and the new profile');
+    
+    await page.fill('.profile-row.active .profile-name', 'Pomodoro 25/5');
+    await page.press('.profile-row.active .profile-name', 'Tab');
+    await page.click('#pomodoro-phases');
+    await page.fill('#toggl-description', 'Focus block');
+    await page.click('#save-settings');
+    await page.waitForSelector('#settings-modal.hidden');
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'profiles-01-pomodoro.png') });
+    
+    // The picker switches between the profiles
+    isPickerVisible = await page.isVisible('#profile-select');
+    assert.ok(isPickerVisible, 'The profile picker should be shown with several profiles');
+    
+    const options = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('#profile-select option')).map(option => option.textContent);
+    });
+    assert.deepStrictEqual(options, ['Default', 'Pomodoro 25/5'], 'The picker should list the profiles by name');
+    
+    assert.strictEqual(await page.textContent('.timer .time'), '25:00', 'The Pomodoro profile should run its own phases');
+    
+    await page.selectOption('#profile-select', { label: 'Default' });
+    let timerCount = await page.evaluate(() => document.querySelectorAll('.timer').length);
+    assert.strictEqual(timerCount, 2, 'The default profile should have its work and rest phases');
+    assert.strictEqual(await page.textContent('#player1 .time'), '02:00:00', 'The default profile should keep its durations');
+    
+    // Time entries use the description of the active profile
+    await page.selectOption('#profile-select', { label: 'Pomodoro 25/5' });
+    await page.locator('.timer').first().click();
+    await page.waitForTimeout(1200);
+    await page.click('#pause');
+    
+    const timeEntries = await getTimeEntries();
+    assert.strictEqual(timeEntries.length, 1, 'There should be one time entry');
+    assert.strictEqual(timeEntries[0].description, 'Focus block', 'The entry should use the description of the profile');
+    
+    // The selected profile survives a reload
+    await reloadApp();
+    await page.waitForLoadState('networkidle');
+    timerCount = await page.evaluate(() => document.querySelectorAll('.timer').length);
+    assert.strictEqual(timerCount, 8, 'The Pomodoro profile should still be selected after a reload');
+    
+    // The default profile can't be deleted, deleting the active one switches to the default
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    
+    const isDefaultRemovable = await page.evaluate(() => !document.querySelector('.profile-row .profile-remove').disabled);
+    assert.ok(!isDefaultRemovable, 'The default profile should not be deletable');
+    
+    page.once('dialog', dialog => dialog.accept());
+    await page.click('.profile-row.active .profile-remove');
+    await page.click('#close-settings');
+    
+    timerCount = await page.evaluate(() => document.querySelectorAll('.timer').length);
+    assert.strictEqual(timerCount, 2, 'Deleting the active profile should switch to the default profile');
+    
+    isPickerVisible = await page.isVisible('#profile-select');
+    assert.ok(!isPickerVisible, 'The profile picker should be hidden again');
+    
+    console.log('Profiles test completed successfully!');
+  });
+  
+  // Test that a time entry can be edited from the history
+  it('Should edit a time entry from the history', async function() {
+    // A project of the catalog to move the entry to
+    await page.evaluate(() => localStorage.setItem('projects', JSON.stringify([
+      { id: 'project-1', name: 'Client A', color: '#4CAF50', workspaceId: '678', togglProjectId: '12345' }
+    ])));
+    await reloadApp();
+    
+    // Record a short work session
+    await page.click('#player1');
+    await page.waitForTimeout(1200);
+    await page.click('#pause');
+    
+    await openEntriesModal();
+    await page.click('.entry-item .entry-edit');
+    await page.waitForSelector('.entry-edit-form');
+    
+    // A stop time before the start time is rejected inline
+    await page.fill('.entry-edit-start', '2026-01-05T09:00');
+    await page.fill('.entry-edit-stop', '2026-01-05T08:00');
+    await page.click('.entry-edit-save');
+    
+    const error = await page.textContent('.entry-edit-error');
+    assert.strictEqual(error, 'Stop time must be after start time', 'Invalid times should show a message');
+    
+    // Valid changes are saved and the duration is recomputed
+    await page.fill('.entry-edit-description', 'Writing the report');
+    await page.fill('.entry-edit-stop', '2026-01-05T10:30');
+    await page.selectOption('.entry-edit-project', { label: 'Client A' });
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'edit-entry-01-form.png') });
+    
+    await page.click('.entry-edit-save');
+    await page.waitForSelector('.entry-edit-form', { state: 'detached' });
+    
+    const entry = await page.evaluate(() => {
+      const item = document.querySelector('.entry-item');
+      return {
+        description: item.querySelector('.entry-description').textContent,
+        duration: item.querySelector('.entry-duration').textContent
+      };
+    });
+    assert.deepStrictEqual(entry, { description: 'Writing the report', duration: 'Duration: 1h 30m 0s' },
+      'The edited entry should be shown with the recomputed duration');
+    
+    const storedEntry = (await getStoredEntries())[0];
+    assert.strictEqual(storedEntry.duration, 5400, 'The stored duration should be recomputed');
+    assert.strictEqual(storedEntry.project_name, 'Client A', 'The project should be stored');
+    assert.strictEqual(storedEntry.project_id, 12345, 'The Toggl project id should be stored');
+    assert.strictEqual(storedEntry.workspace_id, 678, 'The Toggl workspace id should be stored');
+    
+    await closeEntriesModal();
+    
+    console.log('Edit entry test completed successfully!');
+  });
+  
+  // Test that entries can be deleted one by one, by selection or all at once, and restored with undo
+  it('Should delete time entries and undo the deletion', async function() {
+    // Store three completed entries
+    await page.evaluate(() => {
+      const entries = [1, 2, 3].map(day => ({
+        id: `entry-${day}`,
+        description: `Session ${day}`,
+        start: `2026-01-0${day}T09:00:00.000Z`,
+        stop: `2026-01-0${day}T10:00:00.000Z`,
+        duration: 3600,
+        synced: false
+      }));
+      localStorage.setItem('timeEntries', JSON.stringify(entries));
+      window.location.reload();
+    });
+    await page.waitForLoadState('networkidle');
+    
+    const getDescriptions = async () => {
+      return await page.evaluate(() => {
+        return Array.from(document.querySelectorAll('.entry-item .entry-description')).map(item => item.textContent);
+      });
+    };
+    
+    await openEntriesModal();
+    
+    // Delete a single entry and undo it
+    await page.click('.entry-item[data-id="entry-2"] .entry-delete');
+    assert.deepStrictEqual(await getDescriptions(), ['Session 3', 'Session 1'], 'The entry should be deleted');
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'delete-entries-01-undo.png') });
+    
+    await page.click('.time-tracking-notification .notification-action');
+    assert.deepStrictEqual(await getDescriptions(), ['Session 3', 'Session 2', 'Session 1'], 'Undo should restore the entry');
+    
+    // Delete the selected entries
+    const isDeleteSelectedHidden = await page.evaluate(() => document.getElementById('delete-selected').classList.contains('hidden'));
+    assert.ok(isDeleteSelectedHidden, 'Delete Selected should be hidden without a selection');
+    
+    await page.check('.entry-item[data-id="entry-1"] .entry-select');
+    await page.check('.entry-item[data-id="entry-3"] .entry-select');
+    await page.click('#delete-selected');
+    assert.deepStrictEqual(await getDescriptions(), ['Session 2'], 'The selected entries should be deleted');
+    
+    // Clear all entries without a confirmation, and undo it
+    await page.click('#clear-entries');
+    assert.ok(await page.isVisible('.no-entries'), 'All entries should be deleted');
+    
+    await page.locator('.time-tracking-notification .notification-action').last().click();
+    assert.deepStrictEqual(await getDescriptions(), ['Session 2'], 'Undo should restore the cleared entries');
+    
+    await closeEntriesModal();
+    
+    const storedCount = (await getStoredEntries()).length;
+    assert.strictEqual(storedCount, 1, 'Only the restored entry should be stored');
+    
+    console.log('Delete entries test completed successfully!');
+  });
+  
+  it('Should keep a paused work session as one entry with its net duration', async function() {
+    // Keep paused sessions as a single entry
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    await page.selectOption('#paused-sessions', 'merge');
+    await page.click('#save-settings');
+    await page.waitForSelector('#settings-modal.hidden');
+    
+    // Work, pause twice and stop by switching to rest while paused
+    await page.click('#player1');
+    await page.waitForTimeout(1100);
+    await page.click('#pause');
+    await page.waitForTimeout(1000);
+    await page.click('#pause');
+    await page.waitForTimeout(1100);
+    await page.click('#pause');
+    await page.waitForTimeout(1000);
+    await page.click('#player1');
+    await page.waitForTimeout(1100);
+    await page.click('#pause');
+    await page.click('#player2');
+    await page.click('#pause');
+    
+    const entries = await getStoredEntries();
+    assert.strictEqual(entries.length, 1, 'The paused session should be a single entry');
+    assert.strictEqual(entries[0].pauses.length, 2, 'The entry should contain both pauses');
+    
+    // The duration excludes the pauses, the entry ends where the last pause started
+    const grossSeconds = (new Date(entries[0].stop) - new Date(entries[0].start)) / 1000;
+    assert.ok(entries[0].duration >= 3 && entries[0].duration <= grossSeconds - 2,
+      `Duration should be the net time, got ${entries[0].duration}s of ${grossSeconds}s`);
+    
+    await openEntriesModal();
+    const pausesText = await page.textContent('.entry-item .entry-pauses');
+    assert.ok(pausesText.startsWith('Paused 2 times'), `Entry should show its pauses, got: ${pausesText}`);
+    await closeEntriesModal();
+    
+    console.log('Paused session test completed successfully!');
+  });
+  
+  // Test that entries keep the project and tags they were recorded with
+  it('Should record entries with the project and tags picked from the catalog', async function() {
+    // Without projects there is nothing to pick on the main screen
+    assert.ok(!(await page.isVisible('#project-select')), 'The project picker should be hidden without projects');
+    
+    // Add two projects and a tag used for new entries
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    await page.click('#add-project');
+    await page.fill('.project-row:nth-child(1) .project-name', 'Client A');
+    await page.press('.project-row:nth-child(1) .project-name', 'Tab');
+    await page.fill('.project-row:nth-child(1) .project-toggl-id', '101');
+    await page.press('.project-row:nth-child(1) .project-toggl-id', 'Tab');
+    await page.click('#add-project');
+    await page.fill('.project-row:nth-child(2) .project-name', 'Client B');
+    await page.press('.project-row:nth-child(2) .project-name', 'Tab');
+    await page.click('#add-tag');
+    await page.fill('.tag-row .tag-name', 'billable');
+    await page.press('.tag-row .tag-name', 'Tab');
+    await page.check('.tag-row .tag-active');
+    await page.click('#save-settings');
+    await page.waitForSelector('#settings-modal.hidden');
+    
+    // Record an entry for each project
+    await page.selectOption('#project-select', { label: 'Client A' });
+    await page.click('#player1');
+    await page.waitForTimeout(1100);
+    await page.click('#pause');
+    
+    await page.selectOption('#project-select', { label: 'Client B' });
+    await page.click('#player1');
+    await page.waitForTimeout(1100);
+    await page.click('#pause');
+    
+    const entries = await getStoredEntries();
+    assert.deepStrictEqual(entries.map(entry => entry.project_name), ['Client A', 'Client B'], 'Entries should store their project');
+    assert.strictEqual(entries[0].project_id, 101, 'The Toggl project id should be stored');
+    assert.deepStrictEqual(entries[1].tags, ['billable'], 'Entries should store their tags');
+    
+    // Renaming a project doesn't change the entries recorded before
+    await page.click('#settings');
+    await page.waitForSelector('#settings-modal:not(.hidden)');
+    await page.fill('.project-row:nth-child(1) .project-name', 'Client C');
+    await page.press('.project-row:nth-child(1) .project-name', 'Tab');
+    await page.click('#close-settings');
+    
+    await openEntriesModal();
+    const projectLabels = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('.entry-item .entry-project')).map(label => label.textContent);
+    });
+    assert.deepStrictEqual(projectLabels, ['Client B', 'Client A'], 'History should show the project of each entry');
+    await closeEntriesModal();
+    
+    console.log('Projects test completed successfully!');
+  });
+  
+  // Test that the task of the recording entry can be changed and switched
+  it('Should rename the recording entry and switch tasks without touching the countdown', async function() {
+    await page.click('#player1');
+    await page.fill('#task-input', 'Fix login bug');
+    
+    const description = (await getStoredCurrentEntry()).description;
+    assert.strictEqual(description, 'Fix login bug', 'Typing should rename the recording entry');
+    
+    await page.waitForTimeout(1100);
+    await page.click('#switch-task');
+    
+    // The field is cleared and focused for the next task
+    const isTaskFocused = await page.evaluate(() => document.activeElement.id === 'task-input');
+    assert.ok(isTaskFocused, 'The task field should be focused after switching');
+    assert.strictEqual(await page.inputValue('#task-input'), '', 'The task field should be cleared after switching');
+    await page.fill('#task-input', 'Code review');
+    
+    const isWorkRunning = await page.evaluate(() => document.getElementById('player1').classList.contains('current'));
+    assert.ok(isWorkRunning, 'The work timer should keep running');
+    
+    await page.waitForTimeout(1100);
+    await page.click('#pause');
+    
+    const entries = await getStoredEntries();
+    assert.deepStrictEqual(entries.map(entry => entry.description), ['Fix login bug', 'Code review'],
+      'Switching should split the session into an entry per task');
+    assert.strictEqual(entries[1].start, entries[0].stop, 'The new task should start where the previous one stopped');
+    
+    console.log('Switch task test completed successfully!');
+  });
+  
+  // Test that a session that wasn't recorded can be added from the history
+  it('Should add an entry by hand without overlapping recorded entries', async function() {
+    await page.evaluate(() => {
+      localStorage.setItem('timeEntries', JSON.stringify([{
+        id: '1', description: 'Planning', start: '2026-01-05T09:00:00', stop: '2026-01-05T10:00:00',
+        duration: 3600, synced: false, type: 'work'
+      }]));
+    });
+    await reloadApp();
+    
+    await openEntriesModal();
+    await page.click('#add-entry');
+    await page.waitForSelector('.entry-add-form');
+    
+    // An entry overlapping a recorded entry is rejected inline
+    await page.fill('.entry-add-description', 'Meeting');
+    await page.fill('.entry-add-start', '2026-01-05T09:30');
+    await page.fill('.entry-add-stop', '2026-01-05T10:30');
+    await page.click('.entry-add-save');
+    
+    const error = await page.textContent('.entry-add-error');
+    assert.ok(error.startsWith('Overlaps with "Planning"'), 'Overlapping entries should show a message');
+    
+    // The stop time can be given as a duration
+    await page.fill('.entry-add-start', '2026-01-05T10:00');
+    await page.fill('.entry-add-duration', '45m');
+    await page.click('.entry-add-save');
+    await page.waitForSelector('.entry-add-form', { state: 'detached' });
+    
+    const badges = await page.evaluate(() => Array.from(document.querySelectorAll('.entry-item'))
+      .map(item => item.querySelector('.entry-type-badge')?.textContent || ''));
+    assert.deepStrictEqual(badges, ['Manual', ''], 'The added entry should be marked as manual in the history');
+    
+    const storedEntry = (await getStoredEntries()).find(entry => entry.description === 'Meeting');
+    assert.strictEqual(storedEntry.duration, 2700, 'The duration should be stored');
+    assert.strictEqual(storedEntry.manual, true, 'The entry should be flagged as manual');
+    
+    await closeEntriesModal();
+    
+    console.log('Add entry test completed successfully!');
+  });
+  
+  // Test that entries saved in localStorage are moved into IndexedDB and can be queried by its indexes
+  it('Should move the time entries from localStorage into IndexedDB', async function() {
+    await page.evaluate(() => {
+      localStorage.setItem('timeEntries', JSON.stringify([
+        { id: '1', description: 'Planning', start: '2026-01-05T09:00:00.000Z', stop: '2026-01-05T10:00:00.000Z',
+          duration: 3600, synced: false, type: 'work', project_name: 'Acme' },
+        { id: '2', description: 'Review', start: '2026-01-06T09:00:00.000Z', stop: '2026-01-06T09:30:00.000Z',
+          duration: 1800, synced: false, type: 'work', project_name: 'Other' }
+      ]));
+    });
+    await reloadApp();
+    
+    const legacyEntries = await page.evaluate(() => localStorage.getItem('timeEntries'));
+    assert.strictEqual(legacyEntries, null, 'The entries should be removed from localStorage');
+    
+    const storedEntries = await getStoredEntries();
+    assert.deepStrictEqual(storedEntries.map(entry => entry.description), ['Planning', 'Review'],
+      'The entries should be stored in IndexedDB');
+    
+    // The migrated entries are shown and survive another reload
+    await reloadApp();
+    const entries = await getTimeEntries();
+    assert.strictEqual(entries.length, 2, 'The migrated entries should be shown in the history');
+    
+    console.log('IndexedDB migration test completed successfully!');
+  });
+  
+  // Test that the data saved by earlier versions is upgraded by the migrations it hasn't been run with yet
+  it('Should upgrade stored time entries with the pending storage migrations', async function() {
+    const legacyEntry = { id: '1', description: 'Old session', start: '2026-01-05T09:00:00.000Z',
+      stop: '2026-01-05T10:00:00.000Z', duration: 3600 };
+    
+    // Data saved before the storage had a version, with the project in the Toggl settings
+    await page.evaluate((entry) => {
+      localStorage.setItem('togglProjectName', 'Legacy');
+      localStorage.setItem('timeEntries', JSON.stringify([entry]));
+    }, legacyEntry);
+    await reloadApp();
+    
+    const latestVersion = await page.evaluate(() => String(new StorageMigrations().getLatestVersion()));
+    let version = await page.evaluate(() => localStorage.getItem('storageVersion'));
+    assert.strictEqual(version, latestVersion, 'All migrations should be run');
+    
+    let storedEntry = (await getStoredEntries())[0];
+    assert.deepStrictEqual(
+      { type: storedEntry.type, synced: storedEntry.synced, project_name: storedEntry.project_name, tags: storedEntry.tags },
+      { type: 'work', synced: false, project_name: 'Legacy', tags: [] },
+      'The entry should be upgraded to the latest shape'
+    );
+    
+    // Only the migrations after the stored version are run
+    await page.evaluate((entry) => {
+      localStorage.setItem('storageVersion', '1');
+      localStorage.setItem('timeEntries', JSON.stringify([{ ...entry, id: '2' }]));
+    }, legacyEntry);
+    await reloadApp();
+    
+    storedEntry = (await getStoredEntries()).find(entry => entry.id === '2');
+    assert.strictEqual(storedEntry.type, undefined, 'Migrations up to the stored version should not be run again');
+    assert.deepStrictEqual(storedEntry.tags, [], 'Migrations after the stored version should be run');
+    
+    version = await page.evaluate(() => localStorage.getItem('storageVersion'));
+    assert.strictEqual(version, latestVersion, 'The version should be updated');
+    
+    console.log('Storage migrations test completed successfully!');
+  });
+  
+  // Test that an entry left recording by a closed page is detected by its stale heartbeat
+  it('Should offer to stop an entry whose heartbeat is stale at the last heartbeat', async function() {
+    const lastSeen = await page.evaluate(() => {
+      const now = Date.now();
+      const lastSeen = new Date(now - 60 * 60 * 1000).toISOString();
+      localStorage.setItem('currentTimeEntry', JSON.stringify({
+        id: 'orphaned', description: 'Orphaned session', start: new Date(now - 2 * 60 * 60 * 1000).toISOString(),
+        duration: -1, synced: false, type: 'work', last_seen: lastSeen
+      }));
+      
+      // The work phase was planned to last another hour
+      localStorage.setItem('timerState', JSON.stringify({
+        currentId: 'player1', isRunning: true,
+        endTime: now + 60 * 60 * 1000, remainingTimes: {}, overtime: {}, completedCycles: 0
+      }));
+      return lastSeen;
+    });
+    await reloadApp();
+    
+    await page.waitForSelector('#recovery-modal:not(.hidden)');
+    assert.ok(!(await page.isVisible('#recover-phase-end')), 'The phase end should not be offered before it has passed');
+    
+    await page.screenshot({ path: path.join(screenshotsDir, 'recovery-01-modal.png') });
+    
+    await page.click('#recover-last-seen');
+    await page.waitForSelector('#recovery-modal.hidden', { state: 'attached' });
+    
+    const entries = await getStoredEntries();
+    assert.strictEqual(entries.length, 1, 'The orphaned entry should be stopped');
+    assert.strictEqual(entries[0].stop, lastSeen, 'The entry should stop at the last heartbeat');
+    assert.strictEqual(entries[0].duration, 3600, 'The time after the last heartbeat should not be recorded');
+    
+    const isRunning = await page.evaluate(() => JSON.parse(localStorage.getItem('timerState')).isRunning);
+    assert.ok(!isRunning, 'The timer should be paused after the entry is stopped');
+    
+    console.log('Crash recovery test completed successfully!');
+  });
+});
@@ -0,0 +1,242 @@
+// Name and version of the IndexedDB database storing the time entries
+const ENTRIES_DATABASE_NAME = 'workRestTimer';
+const ENTRIES_DATABASE_VERSION = 1;
+
+/**
+ * TimeEntriesDatabase class stores the completed time entries and the running time entry in
+ * IndexedDB. Entries are written one by one instead of re-serializing all of them, and are
+ * indexed by start date to read them in order. All methods are asynchronous.
+ * Entries saved in localStorage before the database existed are moved into it when it is opened.
+ */
+class TimeEntriesDatabase {
+  /**
+   * Open the database, or the localStorage fallback when IndexedDB is unavailable
+   * @returns {Promise<TimeEntriesDatabase|LocalStorageEntriesDatabase>}
+   */
+  static async open() {
+    if (typeof indexedDB === 'undefined') {
+      return new LocalStorageEntriesDatabase();
+    }
+
+    try {
+      const database = new TimeEntriesDatabase(await TimeEntriesDatabase.connect());
+      await database.migrateFromLocalStorage();
+      return database;
+    } catch (e) {
+      // E.g. private browsing modes that block IndexedDB
+      console.error('Error opening the time entries database, using localStorage:', e);
+      return new LocalStorageEntriesDatabase();
+    }
+  }
+
+  /**
+   * Open the IndexedDB database, creating its object stores the first time
+   * @returns {Promise<IDBDatabase>}
+   */
+  static connect() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(ENTRIES_DATABASE_NAME, ENTRIES_DATABASE_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const entries = db.createObjectStore('entries', { keyPath: 'id' });
+        entries.createIndex('start', 'start');
+
+        // The running time entry is kept under a fixed key
+        db.createObjectStore('state');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The time entries database is open in an older version of the app'));
+    });
+  }
+
+  /**
+   * @param {IDBDatabase} db - The opened database
+   */
+  constructor(db) {
+    this.db = db;
+
+    // Let other tabs upgrade or delete the database
+    this.db.onversionchange = () => this.db.close();
+  }
+
+  /**
+   * Run requests in a transaction
+   * @param {string|Array<string>} storeNames - Object stores used by the requests
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Makes the requests, gets the transaction and returns the request whose result is wanted
+   * @returns {Promise} - The result of the returned request, once the transaction is complete
+   */
+  transaction(storeNames, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      const request = operation(transaction);
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Move the entries saved in localStorage before the database existed into the database.
+   * The localStorage keys are removed once the entries are stored, so this only happens once.
+   */
+  async migrateFromLocalStorage() {
+    if (localStorage.getItem('timeEntries') === null && localStorage.getItem('currentTimeEntry') === null) {
+      return;
+    }
+
+    const legacyDatabase = new LocalStorageEntriesDatabase();
+    const entries = await legacyDatabase.getEntries();
+    const currentEntry = await legacyDatabase.getCurrentEntry();
+
+    await this.transaction(['entries', 'state'], 'readwrite', transaction => {
+      const store = transaction.objectStore('entries');
+      entries.forEach(entry => store.put(entry));
+      if (currentEntry) {
+        transaction.objectStore('state').put(currentEntry, 'currentTimeEntry');
+      }
+    });
+
+    localStorage.removeItem('timeEntries');
+    localStorage.removeItem('currentTimeEntry');
+    console.log(`Moved ${entries.length} time entries from localStorage to IndexedDB`);
+  }
+
+  /**
+   * @returns {Promise<Array>} - All completed entries, oldest first
+   */
+  getEntries() {
+    return this.transaction('entries', 'readonly', transaction =>
+      transaction.objectStore('entries').index('start').getAll());
+  }
+
+  /**
+   * Add or replace completed entries
+   * @param {Array} entries - The entries
+   */
+  putEntries(entries) {
+    return this.transaction('entries', 'readwrite', transaction => {
+      const store = transaction.objectStore('entries');
+      entries.forEach(entry => store.put(entry));
+    });
+  }
+
+  /**
+   * @param {Array<string>} ids - Ids of the completed entries to delete
+   */
+  deleteEntries(ids) {
+    return this.transaction('entries', 'readwrite', transaction => {
+      const store = transaction.objectStore('entries');
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  /**
+   * Delete all completed entries
+   */
+  clearEntries() {
+    return this.transaction('entries', 'readwrite', transaction => {
+      transaction.objectStore('entries').clear();
+    });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - The running entry
+   */
+  async getCurrentEntry() {
+    const entry = await this.transaction('state', 'readonly', transaction =>
+      transaction.objectStore('state').get('currentTimeEntry'));
+    return entry || null;
+  }
+
+  /**
+   * @param {Object|null} entry - The running entry, or null when no entry is running
+   */
+  putCurrentEntry(entry) {
+    return this.transaction('state', 'readwrite', transaction => {
+      const store = transaction.objectStore('state');
+      if (entry) {
+        store.put(entry, 'currentTimeEntry');
+      } else {
+        store.delete('currentTimeEntry');
+      }
+    });
+  }
+}
+
+/**
+ * LocalStorageEntriesDatabase class stores time entries in the timeEntries and currentTimeEntry
+ * keys of localStorage, where they were kept before IndexedDB was used. It has the asynchronous
+ * interface of TimeEntriesDatabase and is used when IndexedDB is unavailable.
+ */
+class LocalStorageEntriesDatabase {
+  /**
+   * @returns {Promise<Array>} - All completed entries in the order they were added
+   */
+  async getEntries() {
+    try {
+      const entries = JSON.parse(localStorage.getItem('timeEntries'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      console.error('Error loading saved time entries:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Add or replace completed entries
+   * @param {Array} entries - The entries
+   */
+  async putEntries(entries) {
+    const storedEntries = await this.getEntries();
+    entries.forEach(entry => {
+      const index = storedEntries.findIndex(storedEntry => storedEntry.id === entry.id);
+      if (index === -1) {
+        storedEntries.push(entry);
+      } else {
+        storedEntries[index] = entry;
+      }
+    });
+    localStorage.setItem('timeEntries', JSON.stringify(storedEntries));
+  }
+
+  /**
+   * @param {Array<string>} ids - Ids of the completed entries to delete
+   */
+  async deleteEntries(ids) {
+    const entries = await this.getEntries();
+    localStorage.setItem('timeEntries', JSON.stringify(entries.filter(entry => !ids.includes(entry.id))));
+  }
+
+  /**
+   * Delete all completed entries
+   */
+  async clearEntries() {
+    localStorage.setItem('timeEntries', JSON.stringify([]));
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - The running entry
+   */
+  async getCurrentEntry() {
+    try {
+      return JSON.parse(localStorage.getItem('currentTimeEntry'));
+    } catch (e) {
+      console.error('Error loading running time entry:', e);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object|null} entry - The running entry, or null when no entry is running
+   */
+  async putCurrentEntry(entry) {
+    if (entry) {
+      localStorage.setItem('currentTimeEntry', JSON.stringify(entry));
+    } else {
+      localStorage.removeItem('currentTimeEntry');
+    }
+  }
+}
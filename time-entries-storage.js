@@ -1,50 +1,66 @@
+// Type of a time entry, entries recorded before rest phases could be tracked are work entries
+const ENTRY_TYPES = ['work', 'rest'];
+
 /**
- * TimeEntriesStorage class handles storing and retrieving time entries from localStorage,
- * tracking the current time entry, and providing functionality to export entries to CSV format.
+ * TimeEntriesStorage class handles storing and retrieving time entries, tracking the current
+ * time entry, and providing functionality to export entries to CSV format. The entries are kept
+ * in memory, so they can be read right away, and saved to the database of TimeEntriesDatabase
+ * in the background. They have to be loaded with load() before they are used.
  */
 class TimeEntriesStorage {
   constructor() {
     this.localEntries = [];
     this.currentTimeEntry = null;
-    this.loadEntries();
-    this.loadCurrentEntry();
+    this.database = null;
+    
+    // Writes to the database, in the order the entries were changed
+    this.pendingWrites = Promise.resolve();
   }
   
   /**
-   * Load saved entries from localStorage
+   * Open the database and load the completed entries and the running entry from it.
+   * Entries saved by earlier versions are upgraded by StorageMigrations before.
+   * @returns {Promise}
    */
-  loadEntries() {
-    const savedEntries = localStorage.getItem('timeEntries');
-    if (savedEntries) {
-      try {
-        this.localEntries = JSON.parse(savedEntries);
-      } catch (e) {
-        console.error('Error loading saved time entries:', e);
-        this.localEntries = [];
-      }
-    }
+  async load() {
+    this.database = await TimeEntriesDatabase.open();
+    this.localEntries = await this.database.getEntries();
+    this.currentTimeEntry = await this.database.getCurrentEntry();
   }
   
   /**
-   * Load current time entry from localStorage if one exists
+   * Queue a write to the database after the writes queued before.
+   * A failed write is logged, the entries stay in memory.
+   * @param {Function} write - Gets the database and returns a promise
    */
-  loadCurrentEntry() {
-    const runningEntry = localStorage.getItem('currentTimeEntry');
-    if (runningEntry) {
-      try {
-        this.currentTimeEntry = JSON.parse(runningEntry);
-      } catch (e) {
-        console.error('Error loading running time entry:', e);
-        this.currentTimeEntry = null;
-      }
-    }
+  queueWrite(write) {
+    this.pendingWrites = this.pendingWrites
+      .then(() => write(this.database))
+      .catch(e => console.error('Error saving time entries:', e));
   }
   
   /**
-   * Save the current entries to localStorage
+   * @returns {Promise} - Resolves once all changes are saved to the database
    */
-  saveEntries() {
-    localStorage.setItem('timeEntries', JSON.stringify(this.localEntries));
+  whenSaved() {
+    return this.pendingWrites;
+  }
+  
+  /**
+   * Save added or changed completed entries to the database
+   * @param {Array} entries - The entries
+   */
+  saveEntries(entries) {
+    const savedEntries = entries.map(entry => ({...entry}));
+    this.queueWrite(database => database.putEntries(savedEntries));
+  }
+  
+  /**
+   * Save the running entry to the database, or remove it when no entry is running
+   */
+  saveCurrentEntry() {
+    const savedEntry = this.currentTimeEntry ? {...this.currentTimeEntry} : null;
+    this.queueWrite(database => database.putCurrentEntry(savedEntry));
   }
   
   /**
@@ -53,15 +69,117 @@ class TimeEntriesStorage {
    */
   addEntry(entry) {
     this.localEntries.push(entry);
-    this.saveEntries();
+    this.saveEntries([entry]);
+  }
+  
+  /**
+   * Find an entry overlapping a time range. The running entry lasts until now
+   * @param {Date} start - Start of the range
+   * @param {Date} stop - End of the range
+   * @returns {Object|null} - The first overlapping entry or null if the range is free
+   */
+  findOverlappingEntry(start, stop) {
+    const entries = this.currentTimeEntry ?
+      [...this.localEntries, {...this.currentTimeEntry, stop: new Date().toISOString()}] :
+      this.localEntries;
+    
+    return entries.find(entry => new Date(entry.start) < stop && start < new Date(entry.stop)) || null;
+  }
+  
+  /**
+   * Update a completed time entry. The duration is recomputed from the start and stop times.
+   * @param {string} id - Id of the entry to update
+   * @param {Object} changes - Properties to change, e.g. description, start, stop or project_id
+   * @returns {Object} - The updated time entry
+   * @throws {Error} If the entry doesn't exist or the times are invalid
+   */
+  updateEntry(id, changes) {
+    const index = this.localEntries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      throw new Error('Time entry not found');
+    }
+    
+    const entry = {...this.localEntries[index], ...changes, id: id};
+    const start = new Date(entry.start).getTime();
+    const stop = new Date(entry.stop).getTime();
+    
+    if (isNaN(start) || isNaN(stop)) {
+      throw new Error('Start and stop must be valid dates');
+    }
+    if (stop <= start) {
+      throw new Error('Stop time must be after start time');
+    }
+    
+    entry.start = new Date(start).toISOString();
+    entry.stop = new Date(stop).toISOString();
+    
+    // Pauses outside of the new times are dropped, the others are cut to fit
+    if (entry.pauses) {
+      entry.pauses = this.clipPauses(entry.pauses, start, stop);
+    }
+    entry.duration = Math.floor((stop - start - this.getPausedTime(entry.pauses, start, stop)) / 1000);
+    
+    // The overtime can't be longer than the entry
+    if (entry.overtime > entry.duration) {
+      entry.overtime = entry.duration;
+    }
+    
+    this.localEntries[index] = entry;
+    this.saveEntries([entry]);
+    
+    return entry;
+  }
+  
+  /**
+   * Delete completed time entries
+   * @param {Array<string>} ids - Ids of the entries to delete
+   * @returns {Array} - The deleted entries, so they can be restored
+   */
+  deleteEntries(ids) {
+    const deletedEntries = this.localEntries.filter(entry => ids.includes(entry.id));
+    this.localEntries = this.localEntries.filter(entry => !ids.includes(entry.id));
+    this.queueWrite(database => database.deleteEntries(ids));
+    
+    return deletedEntries;
+  }
+  
+  /**
+   * Add deleted entries back, skipping entries whose id is stored already
+   * @param {Array} entries - The entries to restore
+   * @returns {Array} - The entries added
+   */
+  restoreEntries(entries) {
+    const storedIds = new Set(this.localEntries.map(entry => entry.id));
+    const restoredEntries = entries.filter(entry => !storedIds.has(entry.id));
+    this.localEntries.push(...restoredEntries);
+    this.saveEntries(restoredEntries);
+    
+    return restoredEntries;
+  }
+  
+  /**
+   * Replace all completed entries and the running entry, e.g. with the entries of a backup
+   * @param {Array} entries - The completed entries
+   * @param {Object|null} [currentEntry] - The running entry
+   */
+  replaceEntries(entries, currentEntry = null) {
+    this.localEntries = [...entries];
+    this.currentTimeEntry = currentEntry;
+    this.queueWrite(database => database.clearEntries());
+    this.saveEntries(this.localEntries);
+    this.saveCurrentEntry();
   }
   
   /**
    * Clear all time entries
+   * @returns {Array} - The deleted entries, so they can be restored
    */
   clearEntries() {
+    const deletedEntries = this.localEntries;
     this.localEntries = [];
-    this.saveEntries();
+    this.queueWrite(database => database.clearEntries());
+    
+    return deletedEntries;
   }
   
   /**
@@ -72,59 +190,251 @@ class TimeEntriesStorage {
     return this.localEntries;
   }
   
+  /**
+   * Cut pause intervals to a time range, dropping those outside of it
+   * @param {Array} pauses - Array of {start, stop} objects with ISO date strings
+   * @param {number} from - Start of the range as timestamp
+   * @param {number} to - End of the range as timestamp
+   * @returns {Array} - The pauses within the range
+   */
+  clipPauses(pauses, from, to) {
+    return pauses
+      .map(pause => ({
+        start: new Date(Math.max(new Date(pause.start).getTime(), from)).toISOString(),
+        stop: new Date(Math.min(new Date(pause.stop).getTime(), to)).toISOString()
+      }))
+      .filter(pause => new Date(pause.stop) > new Date(pause.start));
+  }
+  
+  /**
+   * Sum up how long a time entry was paused within a time range
+   * @param {Array} [pauses] - Array of {start, stop} objects with ISO date strings
+   * @param {number} from - Start of the range as timestamp
+   * @param {number} to - End of the range as timestamp
+   * @returns {number} - Paused time in milliseconds
+   */
+  getPausedTime(pauses, from, to) {
+    return this.clipPauses(pauses || [], from, to)
+      .reduce((total, pause) => total + (new Date(pause.stop) - new Date(pause.start)), 0);
+  }
+  
+  /**
+   * Get the net time recorded so far by the running time entry, without its pauses
+   * @param {Object} entry - The running time entry
+   * @param {Date} [now] - Current time, defaults to now
+   * @returns {number} - Recorded time in seconds
+   */
+  getElapsedTime(entry, now = new Date()) {
+    // While paused the time stands still at the start of the pause
+    const end = entry.pause_start ? new Date(entry.pause_start).getTime() : now.getTime();
+    const start = new Date(entry.start).getTime();
+    return Math.max(0, Math.floor((end - start - this.getPausedTime(entry.pauses, start, end)) / 1000));
+  }
+  
+  /**
+   * Split a completed time entry into the fragments recorded between its pauses
+   * @param {Object} entry - The time entry
+   * @returns {Array} - Array of {start, stop, duration} objects
+   */
+  getFragments(entry) {
+    const fragments = [];
+    let fragmentStart = entry.start;
+    (entry.pauses || []).forEach(pause => {
+      fragments.push({ start: fragmentStart, stop: pause.start });
+      fragmentStart = pause.stop;
+    });
+    fragments.push({ start: fragmentStart, stop: entry.stop });
+    
+    return fragments.map(fragment => ({
+      ...fragment,
+      duration: Math.floor((new Date(fragment.stop) - new Date(fragment.start)) / 1000)
+    }));
+  }
+  
+  /**
+   * Get the type of a time entry
+   * @param {Object} entry - The time entry
+   * @returns {string} - 'work' or 'rest'
+   */
+  getEntryType(entry) {
+    return ENTRY_TYPES.includes(entry.type) ? entry.type : 'work';
+  }
+  
+  /**
+   * Sum up the durations of the completed time entries by type
+   * @param {Date} [since] - Only count entries started at or after this time
+   * @returns {{work: number, rest: number}} - Total durations in seconds
+   */
+  getTotals(since = null) {
+    const totals = { work: 0, rest: 0 };
+    this.localEntries
+      .filter(entry => !since || new Date(entry.start) >= since)
+      .forEach(entry => {
+        totals[this.getEntryType(entry)] += entry.duration;
+      });
+    return totals;
+  }
+  
   /**
    * Start a new time entry
    * @param {string} description - Description for the time entry
    * @param {string|number} workspaceId - Optional workspace ID
    * @param {string|number} projectId - Optional project ID
+   * @param {Date} [startTime] - Optional start time, defaults to now
+   * @param {string} [type] - Type of the entry, 'work' or 'rest'
+   * @param {Object} [labels] - Name of the project and names of the tags
+   * @param {string} [labels.projectName]
+   * @param {Array<string>} [labels.tags]
    * @returns {Object} - The created time entry
    */
-  startTimeEntry(description, workspaceId, projectId) {
+  startTimeEntry(description, workspaceId, projectId, startTime = new Date(), type = 'work', { projectName = '', tags = [] } = {}) {
     // Create a new time entry
     this.currentTimeEntry = {
       id: Date.now().toString(),
-      description: description || 'Work session',
+      description: description || (type === 'rest' ? 'Rest session' : 'Work session'),
       workspace_id: workspaceId || undefined,
       project_id: projectId || undefined,
-      start: new Date().toISOString(),
+      project_name: projectName,
+      tags: tags,
+      start: startTime.toISOString(),
       duration: -1, // Running timer has negative duration
-      synced: false
+      synced: false,
+      type: type,
+      last_seen: startTime.toISOString()
     };
     
-    // Save to localStorage
-    localStorage.setItem('currentTimeEntry', JSON.stringify(this.currentTimeEntry));
+    this.saveCurrentEntry();
+    
+    return this.currentTimeEntry;
+  }
+  
+  /**
+   * Update the running time entry, e.g. its description
+   * @param {Object} changes - Properties to change
+   * @returns {Object|null} - The current time entry or null if no entry is running
+   */
+  updateCurrentEntry(changes) {
+    if (!this.currentTimeEntry) return null;
+    
+    this.currentTimeEntry = {...this.currentTimeEntry, ...changes};
+    this.saveCurrentEntry();
+    
+    return this.currentTimeEntry;
+  }
+  
+  /**
+   * Stamp the running time entry with the time the app was last seen running,
+   * so an entry left running by a closed or crashed page can be told apart
+   * @param {Date} [now] - Current time, defaults to now
+   * @returns {Object|null} - The current time entry or null if no entry is running
+   */
+  heartbeat(now = new Date()) {
+    if (!this.currentTimeEntry) return null;
+    
+    this.currentTimeEntry.last_seen = now.toISOString();
+    this.saveCurrentEntry();
+    
+    return this.currentTimeEntry;
+  }
+  
+  /**
+   * Pause the current time entry. The entry keeps running as one session
+   * until it is stopped, the pause is left out of its duration
+   * @param {Date} [pauseTime] - Optional pause time, defaults to now
+   * @returns {Object|null} - The current time entry or null if no entry is running
+   */
+  pauseTimeEntry(pauseTime = new Date()) {
+    if (!this.currentTimeEntry || this.currentTimeEntry.pause_start) return null;
+    
+    this.currentTimeEntry.pause_start = pauseTime.toISOString();
+    this.saveCurrentEntry();
+    
+    return this.currentTimeEntry;
+  }
+  
+  /**
+   * Resume the paused current time entry and record the pause interval
+   * @param {Date} [resumeTime] - Optional resume time, defaults to now
+   * @returns {Object|null} - The current time entry or null if no entry is paused
+   */
+  resumeTimeEntry(resumeTime = new Date()) {
+    if (!this.isPaused()) return null;
+    
+    this.currentTimeEntry.pauses = [
+      ...(this.currentTimeEntry.pauses || []),
+      { start: this.currentTimeEntry.pause_start, stop: resumeTime.toISOString() }
+    ];
+    delete this.currentTimeEntry.pause_start;
+    this.saveCurrentEntry();
     
     return this.currentTimeEntry;
   }
   
   /**
-   * Stop the current time entry
+   * Check if the current time entry is paused
+   * @returns {boolean} - True if a time entry is paused
+   */
+  isPaused() {
+    return Boolean(this.currentTimeEntry && this.currentTimeEntry.pause_start);
+  }
+  
+  /**
+   * Stop the current time entry. A paused entry ends where its pause started
+   * @param {Date} [stopTime] - Optional stop time, defaults to now
    * @returns {Object|null} - The completed time entry or null if no entry was running
    */
-  stopTimeEntry() {
+  stopTimeEntry(stopTime = new Date()) {
     if (!this.currentTimeEntry) return null;
     
-    // Update with stop time and duration
-    this.currentTimeEntry.stop = new Date().toISOString();
-    this.currentTimeEntry.duration = Math.floor(
-      (new Date(this.currentTimeEntry.stop).getTime() - 
-       new Date(this.currentTimeEntry.start).getTime()) / 1000
-    );
+    if (this.currentTimeEntry.pause_start) {
+      stopTime = new Date(this.currentTimeEntry.pause_start);
+      delete this.currentTimeEntry.pause_start;
+    }
+    delete this.currentTimeEntry.last_seen;
+    
+    // Update with stop time and the duration without the pauses
+    const start = new Date(this.currentTimeEntry.start).getTime();
+    const stop = stopTime.getTime();
+    this.currentTimeEntry.stop = stopTime.toISOString();
+    this.currentTimeEntry.duration = Math.floor((stop - start - this.getPausedTime(this.currentTimeEntry.pauses, start, stop)) / 1000);
+    
+    // Convert the overtime marker into the number of overtime seconds
+    if (this.currentTimeEntry.overtime_start) {
+      const overtimeStart = new Date(this.currentTimeEntry.overtime_start).getTime();
+      this.currentTimeEntry.overtime = Math.max(0, Math.floor(
+        (stop - overtimeStart - this.getPausedTime(this.currentTimeEntry.pauses, overtimeStart, stop)) / 1000
+      ));
+      delete this.currentTimeEntry.overtime_start;
+    }
     
     // Add to storage
     this.addEntry(this.currentTimeEntry);
     
-    // Clear from localStorage
-    localStorage.removeItem('currentTimeEntry');
-    
     const completedEntry = {...this.currentTimeEntry};
     
     // Reset current entry
     this.currentTimeEntry = null;
+    this.saveCurrentEntry();
     
     return completedEntry;
   }
   
+  /**
+   * Mark the current time entry as running past its planned time.
+   * The overtime seconds are stored on the entry when it is stopped
+   * @param {Date} [startTime] - When the planned time ran out, defaults to now
+   * @returns {Object|null} - The current time entry or null if no entry is running
+   */
+  startOvertime(startTime = new Date()) {
+    // A resumed entry keeps the time its overtime started at
+    if (!this.currentTimeEntry || this.currentTimeEntry.overtime_start) return null;
+    
+    this.currentTimeEntry.overtime_start = startTime.toISOString();
+    this.saveCurrentEntry();
+    
+    return this.currentTimeEntry;
+  }
+  
   /**
    * Check if there is a time entry currently running
    * @returns {boolean} - True if a time entry is running
@@ -173,20 +483,92 @@ class TimeEntriesStorage {
     return date.toLocaleString();
   }
   
+  /**
+   * Select the entries to export. Rest entries aren't billable work, so they are left out unless asked for.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRest] - Whether to export rest entries too
+   * @param {Date} [options.from] - Earliest start, defaults to the first entry
+   * @param {Date} [options.to] - Latest start, excluded, defaults to the last entry
+   * @param {string} [options.projectName] - Only export the entries of this project, '' for the entries
+   *   without a project, defaults to all projects
+   * @param {boolean} [options.newOnly] - Only export the entries that haven't been exported yet
+   * @param {string} [options.batchId] - Only export the entries of a past export, see markExported
+   * @returns {Array} - The entries to export
+   */
+  getExportEntries({ includeRest = false, from = null, to = null, projectName, newOnly = false, batchId } = {}) {
+    return this.localEntries.filter(entry => {
+      const start = new Date(entry.start);
+      return (includeRest || this.getEntryType(entry) !== 'rest') &&
+        (!from || start >= from) &&
+        (!to || start < to) &&
+        (projectName === undefined || (entry.project_name || '') === projectName) &&
+        (!newOnly || !entry.synced) &&
+        (batchId === undefined || entry.export_batch === batchId);
+    });
+  }
+  
+  /**
+   * Mark entries as exported, so exports of new entries leave them out. The entries exported
+   * together keep the id of their export batch, to export them again later.
+   * @param {Array<string>} ids - Ids of the exported entries
+   * @param {string} batchId - Id of the export batch
+   * @param {Date} exportedAt - Time of the export
+   * @returns {Array} - The marked entries
+   */
+  markExported(ids, batchId, exportedAt) {
+    const markedEntries = [];
+    this.localEntries.forEach((entry, index) => {
+      if (ids.includes(entry.id)) {
+        this.localEntries[index] = {...entry, synced: true, export_batch: batchId, exported_at: exportedAt.toISOString()};
+        markedEntries.push(this.localEntries[index]);
+      }
+    });
+    
+    this.saveEntries(markedEntries);
+    return markedEntries;
+  }
+  
+  /**
+   * @returns {Array<{id: string, exportedAt: string, count: number}>} - The past export batches
+   *   with the number of their entries, latest first
+   */
+  getExportBatches() {
+    const batches = new Map();
+    this.localEntries.forEach(entry => {
+      if (!entry.export_batch) {
+        return;
+      }
+      const batch = batches.get(entry.export_batch) || { id: entry.export_batch, exportedAt: entry.exported_at, count: 0 };
+      batch.count++;
+      batches.set(entry.export_batch, batch);
+    });
+    
+    return [...batches.values()].sort((a, b) => new Date(b.exportedAt) - new Date(a.exportedAt));
+  }
+  
   /**
    * Export entries as CSV for manual import to time tracking tools
+   * @param {Object} [options] - Entries to export, see getExportEntries
+   * @param {boolean} [options.splitPauses] - Whether to export the fragments between the pauses of an
+   *   entry as separate rows, instead of one row with the net duration
    * @returns {string|null} - CSV content or null if no entries
    */
-  exportCSV() {
-    if (this.localEntries.length === 0) {
+  exportCSV({ splitPauses = false, ...options } = {}) {
+    const entries = this.getExportEntries(options);
+    if (entries.length === 0) {
       return null;
     }
     
-    // Define CSV header - including Email and Project columns for Toggl compatibility
-    const header = ['Description', 'Start date', 'Start time', 'End date', 'End time', 'Duration', 'Email', 'Project'];
+    // Define CSV header - including Email, Project and Tags columns for Toggl compatibility
+    const header = ['Description', 'Start date', 'Start time', 'End date', 'End time', 'Duration', 'Email', 'Project', 'Tags'];
     
     // Map entries to CSV rows
-    const rows = this.localEntries.map(entry => {
+    const rows = entries.flatMap(entry => {
+      if (splitPauses) {
+        return this.getFragments(entry).map(fragment => ({...entry, ...fragment}));
+      }
+      return [entry];
+    }).map(entry => {
       const start = new Date(entry.start);
       const stop = new Date(entry.stop);
       
@@ -215,10 +597,11 @@ class TimeEntriesStorage {
       // Get email from localStorage or use empty string
       const email = localStorage.getItem('togglEmail') || '';
       
-      // Get project name from localStorage or use empty string
-      const projectName = localStorage.getItem('togglProjectName') || '';
+      // Use the project and tags the entry was recorded with, entries added by hand are tagged as manual
+      const projectName = entry.project_name || '';
+      const tags = [...(entry.tags || []), ...(entry.manual ? ['manual'] : [])].join(', ');
       
-      // Return row with Email and Project columns, but without Workspace column
+      // Return row with Email, Project and Tags columns, but without Workspace column
       return [
         entry.description,
         startDate,
@@ -227,22 +610,105 @@ class TimeEntriesStorage {
         endTime,
         duration,
         email,
-        projectName
+        projectName,
+        tags
       ];
     });
     
-    // Combine header and rows
+    // Combine header and rows, quotes within cells are doubled
     const csvContent = [header, ...rows]
-      .map(row => row.map(cell => `"${cell}"`).join(','))
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
       .join('\n');
       
     return csvContent;
   }
+  
+  /**
+   * Export entries as an iCalendar file to show them in calendar apps. Each entry is an event
+   * from its start to its stop, with the entry id as UID so importing it again updates the events.
+   * @param {Object} [options] - Entries to export, see getExportEntries
+   * @param {Date} [options.now] - Time the events are exported at, defaults to now
+   * @returns {string|null} - ICS content or null if no entries
+   */
+  exportICS({ now = new Date(), ...options } = {}) {
+    const entries = this.getExportEntries(options);
+    if (entries.length === 0) {
+      return null;
+    }
+    
+    const events = entries.map(entry => [
+      'BEGIN:VEVENT',
+      `UID:${escapeICSText(String(entry.id))}@work-rest-timer`,
+      `DTSTAMP:${formatICSDate(now)}`,
+      `DTSTART:${formatICSDate(new Date(entry.start))}`,
+      `DTEND:${formatICSDate(new Date(entry.stop))}`,
+      `SUMMARY:${escapeICSText(entry.description || '')}`,
+      ...(entry.project_name ? [`CATEGORIES:${escapeICSText(entry.project_name)}`] : []),
+      'END:VEVENT'
+    ]);
+    
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Work-Rest Timer//Time Entries//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...events.flat(),
+      'END:VCALENDAR'
+    ];
+    
+    // iCalendar lines end with CRLF, including the last one
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+  }
+}
+
+// Helper function to format a date in UTC as an iCalendar date-time, e.g. 20260105T090000Z
+function formatICSDate(date) {
+  return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+// Helper function to escape the backslashes, semicolons, commas and line breaks of an iCalendar text value
+function escapeICSText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/([;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+// Helper function to fold an iCalendar line into lines of at most 75 bytes, continued lines start with a space
+function foldICSLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  let partLength = 0;
+  
+  // Split between characters, never within the bytes of a character
+  for (const char of line) {
+    const charLength = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (partLength + charLength > limit) {
+      parts.push(part);
+      part = '';
+      partLength = 0;
+    }
+    part += char;
+    partLength += charLength;
+  }
+  parts.push(part);
+  
+  return parts.join('\r\n ');
 }
 
 // Helper function to download CSV file
 function downloadCSV(csv, filename) {
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  downloadFile(csv, filename, 'text/csv;charset=utf-8;');
+}
+
+// Helper function to download an iCalendar file
+function downloadICS(ics, filename) {
+  downloadFile(ics, filename, 'text/calendar;charset=utf-8;');
+}
+
+// Helper function to download a file, e.g. a CSV file or a JSON backup
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type: type });
   const link = document.createElement('a');
   
   // Create download link
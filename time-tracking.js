@@ -1,37 +1,90 @@
+// How long deleted time entries can be restored, in milliseconds
+const UNDO_GRACE_PERIOD = 10 * 1000;
+
+// How often the running time entry is stamped as seen, in milliseconds
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// How long the running time entry can go without a heartbeat before it is considered
+// left running by a closed or crashed page. Background tabs run timers only once a minute.
+const STALE_HEARTBEAT_AGE = 5 * 60 * 1000;
+
 // External Timer API integration with local storage
 const ExternalTimerAPI = {
   storage: null,
   
-  // Initialize the API
-  init: function() {
+  // Catalog of the projects and tags time entries are recorded with
+  projects: null,
+  
+  // Backup and restore of the time entries and settings
+  backups: null,
+  
+  // Notification offering to undo the last deletion
+  _undoNotification: null,
+  
+  // Initialize the API, resolves once the time entries are loaded from the database
+  init: async function() {
     // Initialize storage
     this.storage = new TimeEntriesStorage();
-    // Storage already loads currentTimeEntry in its constructor
+    await this.storage.load();
+    
+    // The catalog moves the project of the settings into the catalog, after the storage migrations used it for older entries
+    this.projects = new ProjectsStorage();
+    this.backups = new BackupStorage(this.storage);
+    
+    this._startHeartbeat();
+  },
+  
+  // Stamp the running time entry periodically and when the page is hidden or closed
+  _startHeartbeat: function() {
+    setInterval(() => this.storage.heartbeat(), HEARTBEAT_INTERVAL);
+    document.addEventListener('visibilitychange', () => this.storage.heartbeat());
+    window.addEventListener('pagehide', () => this.storage.heartbeat());
   },
   
-  // Start a time entry locally
-  startTimeEntry: function() {
-    const workspaceId = localStorage.getItem('togglWorkspace');
-    const projectId = localStorage.getItem('togglProject');
-    const description = localStorage.getItem('togglDescription') || 'Work session';
+  // Get the running time entry if it was left recording by a closed or crashed page,
+  // i.e. its last heartbeat is too old. Paused entries aren't recording.
+  getStaleTimeEntry: function(now = new Date()) {
+    const entry = this.storage.getCurrentTimeEntry();
+    if (!entry || !entry.last_seen || this.storage.isPaused()) {
+      return null;
+    }
     
-    // Use the storage to create and manage the time entry
-    const entry = this.storage.startTimeEntry(
-      description,
-      workspaceId ? parseInt(workspaceId) : undefined,
-      projectId ? parseInt(projectId) : undefined
-    );
+    return now - new Date(entry.last_seen) > STALE_HEARTBEAT_AGE ? entry : null;
+  },
+  
+  // Start a time entry locally, optionally at a given start time
+  startTimeEntry: function(startTime, type = 'work') {
+    const entry = this._createTimeEntry(startTime, type);
     
     console.log('Started time entry:', entry);
     
     // Show notification to the user
-    this._showNotification('Time tracking started');
+    this._showNotification(type === 'rest' ? 'Rest tracking started' : 'Time tracking started');
+  },
+  
+  // Create the running time entry with the current task, project and tags.
+  // Rest entries don't belong to the project the work is tracked for
+  _createTimeEntry: function(startTime, type) {
+    const isRest = type === 'rest';
+    const project = isRest ? null : this.projects.getCurrentProject();
+    const tags = isRest ? [] : this.projects.getCurrentTags();
+    const description = isRest ? 'Rest session' : this.getTaskDescription();
+    
+    // Use the storage to create and manage the time entry
+    return this.storage.startTimeEntry(
+      description,
+      project && project.workspaceId ? parseInt(project.workspaceId) : undefined,
+      project && project.togglProjectId ? parseInt(project.togglProjectId) : undefined,
+      startTime,
+      type,
+      { projectName: project ? project.name : '', tags: tags.map(tag => tag.name) }
+    );
   },
   
-  // Stop the current time entry
-  stopTimeEntry: function() {
+  // Stop the current time entry, optionally at a given stop time
+  stopTimeEntry: function(stopTime) {
     // Use the storage to stop and save the current entry
-    const completedEntry = this.storage.stopTimeEntry();
+    const completedEntry = this.storage.stopTimeEntry(stopTime);
     
     if (completedEntry) {
       console.log('Stopped time entry:', completedEntry);
@@ -39,32 +92,255 @@ const ExternalTimerAPI = {
     }
   },
   
-  // Show a notification to the user
-  _showNotification: function(message) {
+  // Get the task typed on the main screen, or an empty string if none is set
+  getTask: function() {
+    return localStorage.getItem('currentTask') || '';
+  },
+  
+  // Get the description of new work entries: the current task, or the default description
+  getTaskDescription: function() {
+    return this.getTask() || localStorage.getItem('togglDescription') || 'Work session';
+  },
+  
+  // Set the task worked on. The description of a recording work entry changes with it
+  setTask: function(task) {
+    localStorage.setItem('currentTask', task.trim());
+    
+    const entry = this.storage.getCurrentTimeEntry();
+    if (entry && this.storage.getEntryType(entry) === 'work') {
+      this.storage.updateCurrentEntry({ description: this.getTaskDescription() });
+    }
+  },
+  
+  // Whether a work entry is recording, so its task can be switched
+  canSwitchTask: function() {
+    const entry = this.storage.getCurrentTimeEntry();
+    return Boolean(entry) && this.storage.getEntryType(entry) === 'work' && !this.storage.isPaused();
+  },
+  
+  // Stop the recording work entry and start a new one for another task right away.
+  // The timer keeps counting down, only the time entries are split
+  switchTask: function(task) {
+    if (!this.canSwitchTask()) {
+      this._showNotification('No work session is being recorded');
+      return false;
+    }
+    
+    const switchTime = new Date();
+    const isOvertime = Boolean(this.storage.getCurrentTimeEntry().overtime_start);
+    const completedEntry = this.storage.stopTimeEntry(switchTime);
+    console.log('Stopped time entry:', completedEntry);
+    
+    localStorage.setItem('currentTask', task.trim());
+    const entry = this._createTimeEntry(switchTime, 'work');
+    console.log('Started time entry:', entry);
+    
+    // The new entry continues the overtime of the previous one
+    if (isOvertime) {
+      this.storage.startOvertime(switchTime);
+    }
+    
+    this._showNotification(`Switched to ${entry.description}`);
+    return true;
+  },
+  
+  // Pause the current time entry. Depending on the settings it is either stopped, so
+  // resuming starts a separate entry, or it continues as the same session when resumed
+  pauseTimeEntry: function(pauseTime) {
+    if (!this.isMergingPausedSessions()) {
+      this.stopTimeEntry(pauseTime);
+      return;
+    }
+    
+    const entry = this.storage.pauseTimeEntry(pauseTime);
+    
+    if (entry) {
+      console.log('Paused time entry:', entry);
+      this._showNotification('Time tracking paused');
+    }
+  },
+  
+  // Resume the paused time entry, or start a new one if none is paused
+  resumeTimeEntry: function(resumeTime, type = 'work') {
+    const entry = this.storage.resumeTimeEntry(resumeTime);
+    
+    if (!entry) {
+      this.startTimeEntry(resumeTime, type);
+      return;
+    }
+    
+    console.log('Resumed time entry:', entry);
+    this._showNotification('Time tracking resumed');
+  },
+  
+  // Whether a paused session is kept as a single entry with its net duration
+  isMergingPausedSessions: function() {
+    return localStorage.getItem('pausedSessions') === 'merge';
+  },
+  
+  // Mark the current time entry as running past the planned time
+  startOvertime: function(startTime) {
+    const entry = this.storage.startOvertime(startTime);
+    
+    if (entry) {
+      console.log('Time entry in overtime:', entry);
+      this._showNotification('Time is up, overtime is being recorded');
+    }
+  },
+  
+  // Add a completed entry that wasn't recorded with the timer, it must not overlap other entries
+  addManualEntry: function({ description, projectId, start, stop }) {
+    if (isNaN(start.getTime()) || isNaN(stop.getTime())) {
+      throw new Error('Start and stop must be valid dates');
+    }
+    if (stop <= start) {
+      throw new Error('Stop time must be after start time');
+    }
+    
+    const overlappingEntry = this.storage.findOverlappingEntry(start, stop);
+    if (overlappingEntry) {
+      throw new Error(`Overlaps with "${overlappingEntry.description}" from ${this.storage.formatDate(overlappingEntry.start)}`);
+    }
+    
+    const project = this.projects.getProject(projectId);
+    const entry = {
+      id: Date.now().toString(),
+      description: description || 'Work session',
+      workspace_id: project && project.workspaceId ? parseInt(project.workspaceId) : undefined,
+      project_id: project && project.togglProjectId ? parseInt(project.togglProjectId) : undefined,
+      project_name: project ? project.name : '',
+      tags: [],
+      start: start.toISOString(),
+      stop: stop.toISOString(),
+      duration: Math.floor((stop - start) / 1000),
+      synced: false,
+      type: 'work',
+      manual: true
+    };
+    
+    this.storage.addEntry(entry);
+    this._showNotification('Time entry added');
+    return entry;
+  },
+  
+  // Add time entries read from a CSV file
+  importTimeEntries: function(entries) {
+    const importedEntries = this.storage.restoreEntries(entries);
+    this._showNotification(importedEntries.length === 1 ? 'Imported 1 time entry' : `Imported ${importedEntries.length} time entries`);
+    return importedEntries;
+  },
+  
+  // Delete time entries, they can be restored with the undo action for a grace period
+  deleteTimeEntries: function(ids, onRestore) {
+    const deletedEntries = this.storage.deleteEntries(ids);
+    this._offerUndo(deletedEntries, onRestore);
+  },
+  
+  // Delete all time entries, they can be restored with the undo action for a grace period
+  clearTimeEntries: function(onRestore) {
+    const deletedEntries = this.storage.clearEntries();
+    this._offerUndo(deletedEntries, onRestore);
+  },
+  
+  // Show a notification with an undo action restoring the deleted entries
+  _offerUndo: function(deletedEntries, onRestore) {
+    if (deletedEntries.length === 0) {
+      return;
+    }
+    
+    // Only the last deletion can be undone
+    if (this._undoNotification) {
+      this._undoNotification.remove();
+    }
+    
+    const message = deletedEntries.length === 1 ? 'Time entry deleted' : `${deletedEntries.length} time entries deleted`;
+    this._undoNotification = this._showNotification(message, {
+      label: 'Undo',
+      callback: () => {
+        this.storage.restoreEntries(deletedEntries);
+        if (onRestore) {
+          onRestore();
+        }
+      }
+    });
+  },
+  
+  // Show a notification to the user, optionally with an action button
+  _showNotification: function(message, action = null) {
     // Create a notification element
     const notification = document.createElement('div');
     notification.className = 'time-tracking-notification';
     notification.textContent = message;
     
+    const hide = () => {
+      notification.style.opacity = '0';
+      setTimeout(() => {
+        notification.remove();
+      }, 500);
+    };
+    
+    // A notification with an action stays long enough to use it
+    const delay = action ? UNDO_GRACE_PERIOD : 2500;
+    let hideTimeoutId = null;
+    
+    if (action) {
+      notification.classList.add('with-action');
+      
+      const actionButton = document.createElement('button');
+      actionButton.className = 'notification-action';
+      actionButton.textContent = action.label;
+      actionButton.addEventListener('click', () => {
+        clearTimeout(hideTimeoutId);
+        action.callback();
+        hide();
+      });
+      notification.appendChild(actionButton);
+    }
+    
     // Append to the body
     document.body.appendChild(notification);
     
     // Remove after a delay
-    setTimeout(() => {
-      notification.style.opacity = '0';
-      setTimeout(() => {
-        document.body.removeChild(notification);
-      }, 500);
-    }, 2500);
+    hideTimeoutId = setTimeout(hide, delay);
+    
+    return notification;
+  },
+  
+  // Select the entries to export by start and project, see TimeEntriesStorage.getExportEntries.
+  // Rest entries are only included when enabled in the settings
+  getExportEntries: function(options = {}) {
+    return this.storage.getExportEntries(this._getExportOptions(options));
   },
   
-  // Export entries as CSV for manual import to time tracking tools
-  exportCSV: function() {
-    const csv = this.storage.exportCSV();
+  // Export entries as CSV for manual import to time tracking tools, optionally only those of a
+  // period or a project. Sessions with pauses are only exported as one row when enabled in the settings
+  exportCSV: function(options = {}) {
+    const csv = this.storage.exportCSV({ ...this._getExportOptions(options), splitPauses: !this.isMergingPausedSessions() });
     if (!csv) {
       this._showNotification('No time entries to export');
     }
     return csv;
+  },
+  
+  // Export entries as an iCalendar file for calendar apps, optionally only those of a period or a project
+  exportICS: function(options = {}) {
+    const ics = this.storage.exportICS(this._getExportOptions(options));
+    if (!ics) {
+      this._showNotification('No time entries to export');
+    }
+    return ics;
+  },
+  
+  // Mark the entries of a CSV export of new entries as exported in a new batch, once it is downloaded
+  markExported: function(options = {}) {
+    const exportedAt = new Date();
+    const ids = this.getExportEntries(options).map(entry => entry.id);
+    return this.storage.markExported(ids, `export-${exportedAt.getTime()}`, exportedAt);
+  },
+  
+  // Add the export settings to the options of an export
+  _getExportOptions: function(options) {
+    return { ...options, includeRest: localStorage.getItem('exportRestEntries') === 'true' };
   }
 };
 